@@ -0,0 +1,335 @@
+// backtest.js — kiểm định offline điểm Price Action & trạng thái thị trường trên klines lịch sử.
+// Replay scorePriceAction / detectMarketState (qua analyzeTA) từng nến 1D, không nhìn trước:
+// tại nến i chỉ dùng dữ liệu đã đóng tới i (1D trong cửa sổ như bot live, H4 đã đóng trước giờ đóng nến 1D),
+// rồi đo lợi nhuận kỳ hạn close[i+h]/close[i] theo nhóm điểm và theo trạng thái.
+//
+// Dùng:
+//   node backtest.js --d1 data/BTCUSDT-1d.csv [--h4 data/BTCUSDT-4h.csv]
+//                    [--horizons 1,3,7,14] [--bucket 2] [--window 220] [--warmup 60]
+//                    [--set rsiBull=65] [--sweep rsiBull=55,60,65 --sweep breakoutBodyPct=0.4,0.6,0.8]
+//                    [--target 7] [--json]
+//
+// Định dạng dữ liệu:
+//   - CSV kline Binance (không header): open_time,open,high,low,close,volume,...
+//   - CSV có header: cột time|open_time|timestamp|date + open,high,low,close[,volume]
+//   - JSON: mảng kline Binance ([[t,o,h,l,c,v,...]]) hoặc mảng object cùng tên cột như CSV
+// Thời gian nhận ms / giây / micro giây (data.binance.vision) hoặc chuỗi ngày ISO.
+
+import fs from "fs";
+import path from "path";
+import { analyzeTA, DEFAULT_TA_PARAMS, MARKET_STATES } from "./ta.js";
+
+// ================= ARGS =================
+function parseArgs(argv) {
+  const args = { sweep: [], set: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) throw new Error(`Tham số không hợp lệ: ${a}`);
+    const key = a.slice(2);
+    if (key === "json" || key === "help") { args[key] = true; continue; }
+    const val = argv[++i];
+    if (val == null) throw new Error(`Thiếu giá trị cho --${key}`);
+    if (key === "sweep" || key === "set") args[key].push(val);
+    else args[key] = val;
+  }
+  return args;
+}
+
+function parseParamPairs(list, multi) {
+  const out = {};
+  for (const pair of list) {
+    const m = /^(\w+)=(.+)$/.exec(pair);
+    if (!m) throw new Error(`Sai cú pháp "${pair}" (cần key=value)`);
+    const [, key, raw] = m;
+    if (!(key in DEFAULT_TA_PARAMS)) {
+      throw new Error(`Tham số không tồn tại: ${key}. Hợp lệ: ${Object.keys(DEFAULT_TA_PARAMS).join(", ")}`);
+    }
+    const values = raw.split(",").map(Number);
+    if (values.some(v => !Number.isFinite(v))) throw new Error(`Giá trị không phải số: ${pair}`);
+    out[key] = multi ? values : values[0];
+  }
+  return out;
+}
+
+// Tích Descartes của các giá trị sweep → danh sách bộ tham số
+function expandSweep(grid) {
+  let combos = [{}];
+  for (const [key, values] of Object.entries(grid)) {
+    combos = combos.flatMap(c => values.map(v => ({ ...c, [key]: v })));
+  }
+  return combos;
+}
+
+// ================= LOAD KLINES =================
+function parseTime(v) {
+  if (typeof v === "string" && !/^\d+(\.\d+)?$/.test(v.trim())) {
+    const t = Date.parse(v.trim());
+    if (!Number.isFinite(t)) throw new Error(`Không đọc được thời gian: ${v}`);
+    return t;
+  }
+  const n = Number(v);
+  if (n > 1e14) return Math.floor(n / 1000); // micro giây
+  if (n < 1e11) return n * 1000;             // giây
+  return n;
+}
+
+const TIME_KEYS = ["time", "open_time", "opentime", "timestamp", "date"];
+
+function rowFromObject(o) {
+  const lower = Object.fromEntries(Object.entries(o).map(([k, v]) => [k.toLowerCase().trim(), v]));
+  const tKey = TIME_KEYS.find(k => k in lower);
+  if (!tKey) throw new Error(`Thiếu cột thời gian (${TIME_KEYS.join("|")})`);
+  return {
+    time: parseTime(lower[tKey]),
+    open: Number(lower.open),
+    high: Number(lower.high),
+    low: Number(lower.low),
+    close: Number(lower.close),
+    volume: Number(lower.volume ?? 0)
+  };
+}
+
+function rowFromArray(a) {
+  return {
+    time: parseTime(a[0]),
+    open: Number(a[1]),
+    high: Number(a[2]),
+    low: Number(a[3]),
+    close: Number(a[4]),
+    volume: Number(a[5] ?? 0)
+  };
+}
+
+function loadKlines(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  let rows;
+
+  if (path.extname(file).toLowerCase() === ".json") {
+    const data = JSON.parse(raw);
+    if (!Array.isArray(data)) throw new Error(`${file}: JSON phải là mảng kline`);
+    rows = data.map(x => (Array.isArray(x) ? rowFromArray(x) : rowFromObject(x)));
+  } else {
+    const lines = raw.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const first = lines[0]?.split(",") || [];
+    const hasHeader = first.some(c => /^(open|close|high|low)$/i.test(c.trim()));
+    if (hasHeader) {
+      const cols = first.map(c => c.trim());
+      rows = lines.slice(1).map(l => {
+        const cells = l.split(",");
+        return rowFromObject(Object.fromEntries(cols.map((c, i) => [c, cells[i]])));
+      });
+    } else {
+      rows = lines.map(l => rowFromArray(l.split(",")));
+    }
+  }
+
+  const bad = rows.findIndex(r => [r.time, r.open, r.high, r.low, r.close].some(v => !Number.isFinite(v)));
+  if (bad >= 0) throw new Error(`${file}: dòng dữ liệu lỗi tại vị trí ${bad + 1}`);
+
+  // Sắp theo thời gian + bỏ trùng (file ghép từ nhiều tháng hay bị lặp nến biên)
+  rows.sort((a, b) => a.time - b.time);
+  return rows.filter((r, i) => i === 0 || r.time !== rows[i - 1].time);
+}
+
+// Độ dài nến = trung vị khoảng cách thời gian (chịu được vài nến bị thiếu)
+function inferIntervalMs(candles) {
+  const diffs = [];
+  for (let i = 1; i < candles.length; i++) diffs.push(candles[i].time - candles[i - 1].time);
+  diffs.sort((a, b) => a - b);
+  return diffs[Math.floor(diffs.length / 2)] || 0;
+}
+
+// ================= REPLAY =================
+function replay({ d1, h4, params, window, warmup, horizons }) {
+  const d1Ms = inferIntervalMs(d1);
+  const h4Ms = h4.length ? inferIntervalMs(h4) : 0;
+  const out = [];
+  let h4End = 0; // số nến H4 đã đóng tại thời điểm đóng nến 1D hiện tại
+
+  for (let i = warmup - 1; i < d1.length; i++) {
+    const closeTime = d1[i].time + d1Ms;
+    while (h4End < h4.length && h4[h4End].time + h4Ms <= closeTime) h4End++;
+
+    const a = analyzeTA({
+      d1: d1.slice(Math.max(0, i + 1 - window), i + 1),
+      h4: h4.slice(Math.max(0, h4End - window), h4End)
+    }, params);
+
+    const fwd = {};
+    for (const h of horizons) {
+      fwd[h] = i + h < d1.length ? d1[i + h].close / d1[i].close - 1 : null;
+    }
+    out.push({ time: d1[i].time, score: a.paScore, state: a.ms.state, h4Trend: a.h4Trend, fwd });
+  }
+  return out;
+}
+
+// ================= THỐNG KÊ =================
+function stats(values) {
+  const v = values.filter(x => x != null).sort((a, b) => a - b);
+  if (!v.length) return { n: 0, mean: null, median: null, upRate: null };
+  const mean = v.reduce((s, x) => s + x, 0) / v.length;
+  const mid = Math.floor(v.length / 2);
+  const median = v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  const upRate = v.filter(x => x > 0).length / v.length;
+  return { n: v.length, mean, median, upRate };
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((s, x) => s + x, 0) / n;
+  const my = ys.reduce((s, y) => s + y, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+function bucketOf(score, width) {
+  const lo = Math.min(Math.floor(score / width) * width, 10 - width);
+  return `${lo}–${lo + width}`;
+}
+
+// Gom theo nhóm (điểm hoặc trạng thái) → thống kê lợi nhuận từng kỳ hạn, kèm dòng "Tất cả" làm mốc so sánh
+function groupReport(samples, keyFn, keys, horizons) {
+  const rows = keys.map(key => {
+    const group = samples.filter(s => keyFn(s) === key);
+    return { key, n: group.length, byH: Object.fromEntries(horizons.map(h => [h, stats(group.map(s => s.fwd[h]))])) };
+  });
+  rows.push({
+    key: "Tất cả",
+    n: samples.length,
+    byH: Object.fromEntries(horizons.map(h => [h, stats(samples.map(s => s.fwd[h]))]))
+  });
+  return rows.filter(r => r.n > 0);
+}
+
+function summarize(samples, { horizons, bucket, target }) {
+  // Cùng công thức i × width như bucketOf → khóa khớp tuyệt đối (cộng dồn số thực sẽ lệch, vd 0.1)
+  const bucketKeys = Array.from({ length: Math.round(10 / bucket) }, (_, i) => bucketOf(i * bucket, bucket));
+
+  const withTarget = samples.filter(s => s.fwd[target] != null);
+  const ic = pearson(withTarget.map(s => s.score), withTarget.map(s => s.fwd[target]));
+
+  const byScore = groupReport(samples, s => bucketOf(s.score, bucket), bucketKeys, horizons);
+  const byState = groupReport(samples, s => s.state, MARKET_STATES, horizons);
+
+  // Chênh lệch lợi nhuận TB giữa nhóm điểm cao nhất và thấp nhất (có dữ liệu) ở kỳ hạn mục tiêu
+  const scored = byScore.filter(r => r.key !== "Tất cả" && r.byH[target].n > 0);
+  const spread = scored.length >= 2 ? scored.at(-1).byH[target].mean - scored[0].byH[target].mean : null;
+
+  return { samples: samples.length, ic, spread, byScore, byState };
+}
+
+// ================= IN KẾT QUẢ =================
+const pct = (v) => (v == null ? "-" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(2)}%`);
+const rate = (v) => (v == null ? "-" : `${(v * 100).toFixed(0)}%`);
+const num = (v, d = 3) => (v == null ? "-" : v.toFixed(d));
+
+function printTable(title, rows, horizons) {
+  const pad = (v, n) => String(v).padEnd(n);
+  console.log(`\n${title}`);
+  console.log(pad("Nhóm", 12) + pad("n", 7) + horizons.map(h => pad(`TB ${h}p`, 11) + pad(`TV ${h}p`, 11) + pad(`%↑ ${h}p`, 9)).join(""));
+  for (const r of rows) {
+    console.log(
+      pad(r.key, 12) + pad(r.n, 7) +
+      horizons.map(h => pad(pct(r.byH[h].mean), 11) + pad(pct(r.byH[h].median), 11) + pad(rate(r.byH[h].upRate), 9)).join("")
+    );
+  }
+}
+
+function printReport(rep, { horizons, target }) {
+  console.log(`Số mẫu: ${rep.samples} | IC(điểm, ${target}p): ${num(rep.ic)} | Chênh lệch nhóm cao–thấp (${target}p): ${pct(rep.spread)}`);
+  printTable("== Theo điểm Price Action ==", rep.byScore, horizons);
+  printTable("== Theo trạng thái thị trường ==", rep.byState, horizons);
+  console.log("\nTB: lợi nhuận trung bình | TV: trung vị | %↑: tỉ lệ kỳ hạn có lãi | p: số phiên 1D");
+}
+
+// ================= MAIN =================
+const USAGE = `Dùng: node backtest.js --d1 <file 1D .csv|.json> [--h4 <file H4>] [--horizons 1,3,7,14]
+       [--bucket 2] [--window 220] [--warmup 60] [--target <kỳ hạn>]
+       [--set key=value]... [--sweep key=v1,v2,...]... [--json]
+Tham số: ${Object.entries(DEFAULT_TA_PARAMS).map(([k, v]) => `${k}=${v}`).join(", ")}`;
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.d1) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const horizons = String(args.horizons || "1,3,7,14").split(",").map(Number);
+  if (horizons.some(h => !Number.isInteger(h) || h <= 0)) throw new Error("--horizons phải là số nguyên dương");
+  const target = Number(args.target || horizons[Math.min(2, horizons.length - 1)]);
+  if (!horizons.includes(target)) throw new Error(`--target ${target} không nằm trong --horizons`);
+  const bucket = Number(args.bucket || 2);
+  // Độ rộng phải chia hết 10: nhóm cuối không bị lệch (vd 3 → 9–12) và mọi điểm rơi đúng 1 nhóm trong bảng
+  if (!(bucket > 0 && bucket <= 10 && Number.isInteger(10 / bucket))) throw new Error("--bucket phải chia hết 10 (vd 1, 2, 2.5, 5)");
+  // Cửa sổ mặc định = số nến bot live lấy (fetchKlines 220) để EMA/RSI khớp với bài đăng
+  const window = Number(args.window || 220);
+  const warmup = Number(args.warmup || 60);
+  if (warmup < 20 || window < warmup) throw new Error("Cần --warmup >= 20 và --window >= --warmup");
+
+  const d1 = loadKlines(args.d1);
+  const h4 = args.h4 ? loadKlines(args.h4) : [];
+  if (d1.length < warmup + Math.max(...horizons)) {
+    throw new Error(`Quá ít nến 1D (${d1.length}), cần tối thiểu ${warmup + Math.max(...horizons)}`);
+  }
+
+  const base = { ...DEFAULT_TA_PARAMS, ...parseParamPairs(args.set, false) };
+  const grid = parseParamPairs(args.sweep, true);
+  const combos = expandSweep(grid);
+  const opts = { horizons, bucket, target };
+
+  const results = combos.map(combo => {
+    const params = { ...base, ...combo };
+    const rep = summarize(replay({ d1, h4, params, window, warmup, horizons }), opts);
+    return { combo, params, report: rep };
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify({ horizons, target, bucket, window, warmup, results }, null, 2));
+    return;
+  }
+
+  const from = new Date(d1[warmup - 1].time).toISOString().slice(0, 10);
+  const to = new Date(d1.at(-1).time).toISOString().slice(0, 10);
+  console.log(`Dữ liệu 1D: ${d1.length} nến (${from} → ${to})${h4.length ? ` | H4: ${h4.length} nến` : " | không có H4 (h4Trend = side)"}`);
+
+  if (combos.length === 1) {
+    printReport(results[0].report, opts);
+    return;
+  }
+
+  // Sweep: xếp hạng theo IC ở kỳ hạn mục tiêu, in chi tiết bộ tốt nhất
+  const keys = Object.keys(grid);
+  const pad = (v, n) => String(v).padEnd(n);
+  results.sort((a, b) => (b.report.ic ?? -Infinity) - (a.report.ic ?? -Infinity));
+  console.log(`\n== Quét ${combos.length} bộ tham số (xếp theo IC ${target}p) ==`);
+  console.log(keys.map(k => pad(k, Math.max(k.length + 2, 8))).join("") + pad("IC", 9) + pad("Cao–thấp", 11) + "BREAKOUT/BREAKDOWN (n, TB)");
+  for (const r of results) {
+    const st = (s) => {
+      const row = r.report.byState.find(x => x.key === s);
+      return row ? `${row.n}, ${pct(row.byH[target].mean)}` : "0, -";
+    };
+    console.log(
+      keys.map(k => pad(r.combo[k], Math.max(k.length + 2, 8))).join("") +
+      pad(num(r.report.ic), 9) + pad(pct(r.report.spread), 11) + `${st("BREAKOUT")} / ${st("BREAKDOWN")}`
+    );
+  }
+
+  const best = results[0];
+  console.log(`\n== Chi tiết bộ tốt nhất: ${keys.map(k => `${k}=${best.combo[k]}`).join(", ")} ==`);
+  printReport(best.report, opts);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error("[BACKTEST]", e.message);
+  process.exit(1);
+}
@@ -0,0 +1,316 @@
+// chart.js — vẽ chart PNG thuần JS (không browser/GPU/native): raster RGB + font bitmap 5x7 + PNG encoder (zlib)
+// Dùng cho ảnh kèm bài TA (nến + EMA + hỗ trợ/kháng cự + RSI) và intermarket (BTC vs vàng).
+
+import zlib from "zlib";
+
+// ================= PALETTE =================
+export const COLORS = {
+  bg: [19, 23, 34],
+  grid: [42, 46, 57],
+  axis: [120, 123, 134],
+  text: [210, 212, 220],
+  up: [38, 166, 154],
+  down: [239, 83, 80],
+  ema20: [255, 193, 7],
+  ema50: [33, 150, 243],
+  resist: [239, 83, 80],
+  support: [38, 166, 154],
+  rsi: [171, 71, 188],
+  btc: [247, 147, 26],
+  gold: [0, 188, 212]
+};
+
+// ================= FONT 5x7 =================
+// Chỉ gồm ký tự ASCII cần cho nhãn chart (chữ thường tự đổi sang hoa)
+const GLYPHS = {
+  "0": [".###.", "#...#", "#..##", "#.#.#", "##..#", "#...#", ".###."],
+  "1": ["..#..", ".##..", "..#..", "..#..", "..#..", "..#..", ".###."],
+  "2": [".###.", "#...#", "....#", "...#.", "..#..", ".#...", "#####"],
+  "3": ["#####", "...#.", "..#..", "...#.", "....#", "#...#", ".###."],
+  "4": ["...#.", "..##.", ".#.#.", "#..#.", "#####", "...#.", "...#."],
+  "5": ["#####", "#....", "####.", "....#", "....#", "#...#", ".###."],
+  "6": ["..##.", ".#...", "#....", "####.", "#...#", "#...#", ".###."],
+  "7": ["#####", "....#", "...#.", "..#..", ".#...", ".#...", ".#..."],
+  "8": [".###.", "#...#", "#...#", ".###.", "#...#", "#...#", ".###."],
+  "9": [".###.", "#...#", "#...#", ".####", "....#", "...#.", ".##.."],
+  A: [".###.", "#...#", "#...#", "#####", "#...#", "#...#", "#...#"],
+  B: ["####.", "#...#", "#...#", "####.", "#...#", "#...#", "####."],
+  C: [".###.", "#...#", "#....", "#....", "#....", "#...#", ".###."],
+  D: ["###..", "#..#.", "#...#", "#...#", "#...#", "#..#.", "###.."],
+  E: ["#####", "#....", "#....", "####.", "#....", "#....", "#####"],
+  F: ["#####", "#....", "#....", "####.", "#....", "#....", "#...."],
+  G: [".###.", "#...#", "#....", "#.###", "#...#", "#...#", ".####"],
+  H: ["#...#", "#...#", "#...#", "#####", "#...#", "#...#", "#...#"],
+  I: [".###.", "..#..", "..#..", "..#..", "..#..", "..#..", ".###."],
+  J: ["..###", "...#.", "...#.", "...#.", "...#.", "#..#.", ".##.."],
+  K: ["#...#", "#..#.", "#.#..", "##...", "#.#..", "#..#.", "#...#"],
+  L: ["#....", "#....", "#....", "#....", "#....", "#....", "#####"],
+  M: ["#...#", "##.##", "#.#.#", "#.#.#", "#...#", "#...#", "#...#"],
+  N: ["#...#", "#...#", "##..#", "#.#.#", "#..##", "#...#", "#...#"],
+  O: [".###.", "#...#", "#...#", "#...#", "#...#", "#...#", ".###."],
+  P: ["####.", "#...#", "#...#", "####.", "#....", "#....", "#...."],
+  Q: [".###.", "#...#", "#...#", "#...#", "#.#.#", "#..#.", ".##.#"],
+  R: ["####.", "#...#", "#...#", "####.", "#.#..", "#..#.", "#...#"],
+  S: [".####", "#....", "#....", ".###.", "....#", "....#", "####."],
+  T: ["#####", "..#..", "..#..", "..#..", "..#..", "..#..", "..#.."],
+  U: ["#...#", "#...#", "#...#", "#...#", "#...#", "#...#", ".###."],
+  V: ["#...#", "#...#", "#...#", "#...#", "#...#", ".#.#.", "..#.."],
+  W: ["#...#", "#...#", "#...#", "#.#.#", "#.#.#", "#.#.#", ".#.#."],
+  X: ["#...#", "#...#", ".#.#.", "..#..", ".#.#.", "#...#", "#...#"],
+  Y: ["#...#", "#...#", ".#.#.", "..#..", "..#..", "..#..", "..#.."],
+  Z: ["#####", "....#", "...#.", "..#..", ".#...", "#....", "#####"],
+  " ": [".....", ".....", ".....", ".....", ".....", ".....", "....."],
+  ".": [".....", ".....", ".....", ".....", ".....", ".##..", ".##.."],
+  ",": [".....", ".....", ".....", ".....", ".##..", "..#..", ".#..."],
+  "-": [".....", ".....", ".....", "#####", ".....", ".....", "....."],
+  "+": [".....", "..#..", "..#..", "#####", "..#..", "..#..", "....."],
+  "%": ["##...", "##..#", "...#.", "..#..", ".#...", "#..##", "...##"],
+  ":": [".....", ".##..", ".##..", ".....", ".##..", ".##..", "....."],
+  "/": [".....", "....#", "...#.", "..#..", ".#...", "#....", "....."],
+  "(": ["...#.", "..#..", ".#...", ".#...", ".#...", "..#..", "...#."],
+  ")": [".#...", "..#..", "...#.", "...#.", "...#.", "..#..", ".#..."],
+  "|": ["..#..", "..#..", "..#..", "..#..", "..#..", "..#..", "..#.."]
+};
+
+// ================= RASTER =================
+class Raster {
+  constructor(width, height, bg = COLORS.bg) {
+    this.width = width;
+    this.height = height;
+    this.px = new Uint8Array(width * height * 3);
+    this.fillRect(0, 0, width, height, bg);
+  }
+
+  set(x, y, [r, g, b]) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const i = (y * this.width + x) * 3;
+    this.px[i] = r;
+    this.px[i + 1] = g;
+    this.px[i + 2] = b;
+  }
+
+  fillRect(x, y, w, h, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+    for (let yy = y0; yy < y1; yy++) {
+      for (let xx = x0; xx < x1; xx++) this.set(xx, yy, color);
+    }
+  }
+
+  // Bresenham; dash = [on, off] pixel
+  line(x0, y0, x1, y1, color, { width = 1, dash = null } = {}) {
+    x0 = Math.round(x0); y0 = Math.round(y0); x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let step = 0;
+    for (;;) {
+      if (!dash || step % (dash[0] + dash[1]) < dash[0]) {
+        for (let o = 0; o < width; o++) {
+          if (dx >= -dy) this.set(x0, y0 + o, color);
+          else this.set(x0 + o, y0, color);
+        }
+      }
+      step++;
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x0 += sx; }
+      if (e2 <= dx) { err += dx; y0 += sy; }
+    }
+  }
+
+  text(x, y, str, color = COLORS.text, scale = 2) {
+    let cx = Math.round(x);
+    for (const ch of String(str).toUpperCase()) {
+      const g = GLYPHS[ch] || GLYPHS[" "];
+      for (let row = 0; row < 7; row++) {
+        for (let col = 0; col < 5; col++) {
+          if (g[row][col] === "#") this.fillRect(cx + col * scale, y + row * scale, scale, scale, color);
+        }
+      }
+      cx += 6 * scale;
+    }
+    return cx;
+  }
+
+  toPNG() {
+    return encodePNG(this.width, this.height, this.px);
+  }
+}
+
+// ================= PNG ENCODER =================
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// rgb: Uint8Array width*height*3 (truecolor, không alpha)
+export function encodePNG(width, height, rgb) {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: None
+    Buffer.from(rgb.buffer, rgb.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 2;  // color type: RGB
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// ================= CHART =================
+export function fmtAxis(v) {
+  const abs = Math.abs(v);
+  if (abs >= 10000) return Math.round(v).toString();
+  if (abs >= 100) return v.toFixed(1);
+  if (abs >= 1) return v.toFixed(2);
+  return v.toPrecision(3);
+}
+
+const PAD_LEFT = 10;
+const AXIS_W = 90;
+const HEADER_H = 22;
+
+function panelRange(panel) {
+  const vals = [];
+  for (const c of panel.candles || []) vals.push(c.high, c.low);
+  for (const l of panel.lines || []) for (const v of l.values) if (Number.isFinite(v)) vals.push(v);
+  for (const lv of panel.levels || []) if (lv.fit && Number.isFinite(lv.value)) vals.push(lv.value);
+
+  let min = panel.yMin ?? Math.min(...vals);
+  let max = panel.yMax ?? Math.max(...vals);
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return { min: 0, max: 1 };
+  if (min === max) { min -= 1; max += 1; }
+  if (panel.yMin === undefined || panel.yMax === undefined) {
+    const pad = (max - min) * 0.05;
+    if (panel.yMin === undefined) min -= pad;
+    if (panel.yMax === undefined) max += pad;
+  }
+  return { min, max };
+}
+
+function drawPanel(r, panel, top, width) {
+  const plotX0 = PAD_LEFT;
+  const plotX1 = width - AXIS_W;
+  const plotY0 = top + HEADER_H;
+  const plotY1 = top + panel.height - 4;
+  const plotW = plotX1 - plotX0;
+  const plotH = plotY1 - plotY0;
+  const yFmt = panel.yFormat || fmtAxis;
+
+  const { min, max } = panelRange(panel);
+  const y = (v) => plotY1 - ((v - min) / (max - min)) * plotH;
+  const n = Math.max(1, panel.candles?.length || Math.max(...(panel.lines || []).map(l => l.values.length), 1));
+  const step = plotW / n;
+  const x = (i) => plotX0 + (i + 0.5) * step;
+
+  // Header: tiêu đề + chú thích màu
+  let cx = r.text(plotX0, top + 4, panel.title || "", COLORS.text);
+  for (const l of panel.lines || []) {
+    if (!l.label) continue;
+    cx = r.text(cx + 16, top + 4, l.label, l.color);
+  }
+
+  // Grid + trục giá
+  const ticks = panel.ticks || 4;
+  for (let t = 0; t <= ticks; t++) {
+    const v = min + ((max - min) * t) / ticks;
+    const yy = y(v);
+    r.line(plotX0, yy, plotX1, yy, COLORS.grid, { dash: [2, 4] });
+    r.text(plotX1 + 6, yy - 7, yFmt(v), COLORS.axis);
+  }
+  r.line(plotX1, plotY0, plotX1, plotY1, COLORS.axis);
+
+  for (const b of panel.bands || []) {
+    if (b.value >= min && b.value <= max) r.line(plotX0, y(b.value), plotX1, y(b.value), b.color || COLORS.axis, { dash: [6, 4] });
+  }
+
+  // Nến
+  const bodyW = Math.max(1, Math.floor(step * 0.7));
+  (panel.candles || []).forEach((c, i) => {
+    const color = c.close >= c.open ? COLORS.up : COLORS.down;
+    const cxi = Math.round(x(i));
+    r.line(cxi, y(c.high), cxi, y(c.low), color);
+    const yTop = y(Math.max(c.open, c.close));
+    const yBot = y(Math.min(c.open, c.close));
+    r.fillRect(cxi - Math.floor(bodyW / 2), yTop, bodyW, Math.max(1, yBot - yTop), color);
+  });
+
+  // Đường (EMA, RSI, hiệu suất...)
+  for (const l of panel.lines || []) {
+    let prev = null;
+    l.values.forEach((v, i) => {
+      if (!Number.isFinite(v)) { prev = null; return; }
+      const pt = [x(i), y(v)];
+      if (prev) r.line(prev[0], prev[1], pt[0], pt[1], l.color, { width: l.width || 2 });
+      prev = pt;
+    });
+  }
+
+  // Mức giá ngang (hỗ trợ/kháng cự) – bỏ qua mức nằm ngoài khung
+  for (const lv of panel.levels || []) {
+    if (!Number.isFinite(lv.value) || lv.value < min || lv.value > max) continue;
+    const yy = y(lv.value);
+    r.line(plotX0, yy, plotX1, yy, lv.color, { dash: [8, 5] });
+    if (lv.label) r.text(plotX0 + 4, yy - 18, lv.label, lv.color);
+    r.fillRect(plotX1 + 2, yy - 9, AXIS_W - 2, 18, lv.color);
+    r.text(plotX1 + 6, yy - 7, yFmt(lv.value).slice(0, 7), COLORS.bg);
+  }
+}
+
+// panels: [{ height, title, candles?, lines?: [{ values, color, label }], levels?: [{ value, color, label, fit }],
+//            bands?: [{ value, color }], yMin?, yMax?, yFormat?, ticks? }]
+// Trả về Buffer PNG.
+export function renderChart({ width = 1000, title = "", panels }) {
+  const titleH = title ? 34 : 0;
+  const height = titleH + panels.reduce((a, p) => a + p.height, 0);
+  const r = new Raster(width, height);
+
+  if (title) r.text(PAD_LEFT, 10, title, COLORS.text, 2);
+
+  let top = titleH;
+  for (const p of panels) {
+    drawPanel(r, p, top, width);
+    top += p.height;
+    r.line(0, top - 1, width, top - 1, COLORS.grid);
+  }
+  return r.toPNG();
+}
@@ -0,0 +1,103 @@
+// derivatives.js — phân tích phái sinh perp thuần (không I/O): OI quy USD, thay đổi OI/giá theo giờ, xu hướng funding,
+// long/short top trader và kết luận vị thế (giá × OI → tích lũy vị thế / squeeze / xả đòn bẩy). Dữ liệu lấy ở index.js.
+
+// ================= THAM SỐ =================
+export const DEFAULT_DERIV_PARAMS = {
+  oiFlatPct: 1,          // |ΔOI| < ngưỡng → OI đi ngang
+  priceFlatPct: 0.5,     // |Δgiá| < ngưỡng → giá đi ngang
+  fundingHotPct: 0.03,   // funding (%/kỳ) ≥ ngưỡng → long trả phí cao (đông long)
+  fundingColdPct: -0.01, // funding ≤ ngưỡng → short trả phí (đông short)
+  lsCrowded: 2,          // L/S top trader ≥ ngưỡng → lệch long mạnh
+  lsThin: 0.8,           // L/S top trader ≤ ngưỡng → lệch short
+  trendEpsPct: 0.002     // chênh funding TB nửa sau − nửa đầu nhỏ hơn → đi ngang
+};
+
+const HOUR = 3600000;
+
+// Thay đổi % của chuỗi [{ time, value }] (cũ → mới): điểm cuối so với điểm gần nhất cách ≥ `hours` giờ
+export function changeOver(series, hours) {
+  const points = (series || []).filter(p => Number.isFinite(p.time) && Number.isFinite(p.value));
+  if (points.length < 2) return null;
+  const last = points.at(-1);
+  const target = last.time - hours * HOUR + 60000; // lệch vài giây giữa các sàn vẫn tính đúng mốc
+  const base = points.filter(p => p.time <= target).at(-1);
+  return base && base.value !== 0 ? (last.value / base.value - 1) * 100 : null;
+}
+
+// rates: [{ time, value }] funding đã chốt (%/kỳ, cũ → mới)
+export function fundingTrend(rates, periods, p = DEFAULT_DERIV_PARAMS) {
+  const xs = (rates || []).map(r => r.value).filter(Number.isFinite).slice(-periods);
+  if (xs.length === 0) return null;
+  const avg = (a) => a.reduce((s, x) => s + x, 0) / a.length;
+  const half = Math.floor(xs.length / 2);
+  const diff = half > 0 ? avg(xs.slice(half)) - avg(xs.slice(0, half)) : 0;
+  return {
+    last: xs.at(-1),
+    avg: avg(xs),
+    n: xs.length,
+    positive: xs.filter(x => x > 0).length,
+    direction: diff > p.trendEpsPct ? "rising" : diff < -p.trendEpsPct ? "falling" : "flat"
+  };
+}
+
+// Giá × OI (cùng khung):
+//   giá ↑ OI ↑ → mở long mới (đông long + funding nóng → rủi ro long squeeze)
+//   giá ↑ OI ↓ → short bị ép đóng (short squeeze)
+//   giá ↓ OI ↑ → mở short mới (đông short + funding âm → rủi ro short squeeze)
+//   giá ↓ OI ↓ → long bị thanh lý / xả đòn bẩy
+//   giá ngang OI ↑ → dồn vị thế, chờ biến động lớn
+export function classifyPositioning({ pricePct, oiPct, funding, lsRatio }, p = DEFAULT_DERIV_PARAMS) {
+  if (!Number.isFinite(pricePct) || !Number.isFinite(oiPct)) return "noData";
+  const up = pricePct >= p.priceFlatPct;
+  const down = pricePct <= -p.priceFlatPct;
+  const oiUp = oiPct >= p.oiFlatPct;
+  const oiDown = oiPct <= -p.oiFlatPct;
+  const longsHot = funding >= p.fundingHotPct || lsRatio >= p.lsCrowded;
+  const shortsHot = funding <= p.fundingColdPct || lsRatio <= p.lsThin;
+
+  if (oiUp && up) return longsHot ? "longCrowded" : "longBuildup";
+  if (oiUp && down) return shortsHot ? "shortCrowded" : "shortBuildup";
+  if (oiUp) return longsHot ? "longCrowded" : shortsHot ? "shortCrowded" : "oiBuilding";
+  if (oiDown && up) return "shortSqueeze";
+  if (oiDown && down) return "deleveraging";
+  return "neutral";
+}
+
+// Gom số liệu thô → tóm tắt cho bài đăng. Mọi trường có thể null khi sàn không trả dữ liệu.
+//   oi: OI hiện tại (coin), markPrice, oiHist / fundingHist / lsHist / priceHist: [{ time, value }] cũ → mới
+export function analyzeDerivatives({ oi, markPrice, predictedFunding, oiHist, fundingHist, lsHist, priceHist, now = Date.now() },
+  { fundingPeriods = 9, ...params } = {}) {
+  const p = { ...DEFAULT_DERIV_PARAMS, ...params };
+  // OI hiện tại là điểm mới nhất của chuỗi → ΔOI khớp với con số OI hiển thị
+  const oiSeries = [...(oiHist || []).filter(x => x.time < now - 60000)];
+  if (Number.isFinite(oi)) oiSeries.push({ time: now, value: oi });
+  const oiCoin = Number.isFinite(oi) ? oi : oiSeries.at(-1)?.value ?? null;
+
+  const lsNow = lsHist?.at(-1)?.value;
+  const lsBase = lsHist?.length ? lsHist.filter(x => x.time <= lsHist.at(-1).time - 24 * HOUR + 60000).at(-1) : null;
+  const ls = Number.isFinite(lsNow)
+    ? { ratio: lsNow, longPct: (lsNow / (1 + lsNow)) * 100, change24h: lsBase ? lsNow - lsBase.value : null }
+    : null;
+
+  const out = {
+    oiCoin,
+    markPrice: Number.isFinite(markPrice) ? markPrice : null,
+    oiNotional: Number.isFinite(oiCoin) && Number.isFinite(markPrice) ? oiCoin * markPrice : null,
+    oiChange4h: changeOver(oiSeries, 4),
+    oiChange24h: changeOver(oiSeries, 24),
+    priceChange4h: changeOver(priceHist, 4),
+    priceChange24h: changeOver(priceHist, 24),
+    funding: fundingTrend(fundingHist, fundingPeriods, p),
+    predictedFunding: Number.isFinite(predictedFunding) ? predictedFunding : null,
+    ls
+  };
+  // Khung 4h khớp bài H4; thiếu dữ liệu 4h thì dùng 24h
+  const use4h = Number.isFinite(out.oiChange4h) && Number.isFinite(out.priceChange4h);
+  out.state = classifyPositioning({
+    pricePct: use4h ? out.priceChange4h : out.priceChange24h,
+    oiPct: use4h ? out.oiChange4h : out.oiChange24h,
+    funding: out.predictedFunding ?? out.funding?.last ?? NaN,
+    lsRatio: ls?.ratio ?? NaN
+  }, p);
+  return out;
+}
@@ -4,44 +4,189 @@
 // ✅ Bullet dùng 🔹 (Telegram-safe)
 
 import "dotenv/config";
-import fetch from "node-fetch";
+import fetch, { FormData, Blob, Response } from "node-fetch";
 import Parser from "rss-parser";
 import cron from "node-cron";
 import Database from "better-sqlite3";
 import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { pathToFileURL } from "url";
+import { renderChart, COLORS } from "./chart.js";
+import { ema, rsi, analyzeTA } from "./ta.js";
+import { htmlToText, summarize } from "./summarize.js";
+import { scoreSentiment, sentimentIndex } from "./sentiment.js";
+import { analyzeDerivatives } from "./derivatives.js";
+import vi from "./locales/vi.js";
+import en from "./locales/en.js";
 
 // ================= ENV =================
+// CLI: node index.js run <job> [--dry-run] [--lang en] [--out ./out] [--period weekly] [--symbols BTCUSDT,ETHUSDT]
+// → chạy 1 job rồi thoát (không cron / bot / outbox loop)
+const CLI = parseCli(process.argv.slice(2));
+
+// ===== DRY-RUN & HTTP FIXTURES (thử định dạng bài / chạy offline) =====
+// DRY_RUN=1 (hoặc --dry-run): không gửi Telegram, bài được in ra stdout hoặc ghi file vào DRY_RUN_DIR (--out)
+const DRY_RUN = process.env.DRY_RUN === "1" || CLI.flags["dry-run"] === true;
+const DRY_RUN_DIR = CLI.flags.out || process.env.DRY_RUN_DIR || "";
+// HTTP_FIXTURES=record: gọi thật + lưu response vào FIXTURES_DIR; replay: chỉ đọc file, thiếu → lỗi
+const HTTP_FIXTURES = CLI.flags.fixtures || process.env.HTTP_FIXTURES || "";
+const FIXTURES_DIR = CLI.flags["fixtures-dir"] || process.env.FIXTURES_DIR || "./fixtures";
+const DB_PATH = process.env.DB_PATH || "./newsbot.sqlite"; // worker dry-run bắt buộc DB riêng (xem kiểm tra bên dưới)
+
 const BOT_TOKEN = process.env.BOT_TOKEN;
-const CHAT_ID = process.env.CHAT_ID;
+const CHAT_ID = process.env.CHAT_ID; // chat chính (admin) – tự động đăng ký mọi topic
 
 const NEWS_CRON = process.env.NEWS_CRON || "*/10 * * * *";
 const MAX_ITEMS = parseInt(process.env.MAX_ITEMS || "10", 10);
 const MIN_ITEMS = parseInt(process.env.MIN_ITEMS || "5", 10);
 
+// ===== RSS FETCH =====
+const RSS_CONCURRENCY = parseInt(process.env.RSS_CONCURRENCY || "4", 10); // số feed tải song song
+const RSS_TIMEOUT_MS = parseInt(process.env.RSS_TIMEOUT_MS || "15000", 10); // timeout mỗi lần tải 1 feed
+const RSS_RETRIES = parseInt(process.env.RSS_RETRIES || "2", 10); // thử lại khi lỗi mạng / timeout / 5xx / 429
+const RSS_RETRY_BASE_MS = parseInt(process.env.RSS_RETRY_BASE_MS || "1000", 10); // backoff: base × 2^lần
+// Bỏ tin cũ hơn N giờ (feed mới thêm / lâu không cập nhật không xả cả tuần tin vào digest); 0 = tắt
+const RSS_MAX_AGE_HOURS = Number(process.env.RSS_MAX_AGE_HOURS || "48");
+
+// Gộp tin trùng nội dung giữa các nguồn (0..1, càng cao càng khắt khe)
+const STORY_SIMILARITY = Number(process.env.STORY_SIMILARITY || "0.55");
+const STORY_LOOKBACK_HOURS = Number(process.env.STORY_LOOKBACK_HOURS || "48");
+
+// File JSON ghi đè luật chấm điểm tin (cùng cấu trúc DEFAULT_RELEVANCE_RULES), đọc lại khi file thay đổi
+const RELEVANCE_RULES_FILE = process.env.RELEVANCE_RULES_FILE || "./relevance.json";
+
+// ===== TIN NÓNG (gửi ngay, không chờ MIN_ITEMS) =====
+const BREAKING_PIN = process.env.BREAKING_PIN === "1"; // ghim tin nóng trong chat
+const BREAKING_MAX_AGE_HOURS = Number(process.env.BREAKING_MAX_AGE_HOURS || "6");
+const BREAKING_MAX_PER_RUN = parseInt(process.env.BREAKING_MAX_PER_RUN || "3", 10);
+
+// ===== TÓM TẮT TIN (trích câu chính từ nội dung bài, summarize.js) =====
+// Độ dài riêng cho bản tin tổng hợp (nhiều tin → ngắn) và tin nóng (1 tin → dài hơn)
+const SUMMARY_SENTENCES = parseInt(process.env.SUMMARY_SENTENCES || "2", 10);
+const SUMMARY_MAX_CHARS = parseInt(process.env.SUMMARY_MAX_CHARS || "300", 10);
+const BREAKING_SUMMARY_SENTENCES = parseInt(process.env.BREAKING_SUMMARY_SENTENCES || "3", 10);
+const BREAKING_SUMMARY_MAX_CHARS = parseInt(process.env.BREAKING_SUMMARY_MAX_CHARS || "450", 10);
+
+// ===== TÂM LÝ TIN (sentiment.js, hiện trong bài tin + bài intermarket) =====
+const SENTIMENT_WINDOW_HOURS = Number(process.env.SENTIMENT_WINDOW_HOURS || "24"); // tin đã đăng trong N giờ
+const SENTIMENT_HALF_LIFE_HOURS = Number(process.env.SENTIMENT_HALF_LIFE_HOURS || "12"); // tin cũ nhẹ ký dần
+const SENTIMENT_MIN_ITEMS = parseInt(process.env.SENTIMENT_MIN_ITEMS || "3", 10); // ít hơn → không tính chỉ số
+
+// ===== DỊCH TIN =====
+const TRANSLATE_PROVIDER = process.env.TRANSLATE_PROVIDER || "google"; // google | libre | none
+const LIBRETRANSLATE_URL = process.env.LIBRETRANSLATE_URL || "";       // vd: http://localhost:5000
+const LIBRETRANSLATE_API_KEY = process.env.LIBRETRANSLATE_API_KEY || "";
+const TRANSLATE_CONCURRENCY = parseInt(process.env.TRANSLATE_CONCURRENCY || "3", 10);
+// Ngôn ngữ gốc của tin RSS: locale trùng ngôn ngữ này thì hiển thị bản gốc, không gọi dịch
+const NEWS_SOURCE_LANG = process.env.NEWS_SOURCE_LANG || "en";
+
+// ===== NGÔN NGỮ BÀI ĐĂNG (locales/*.js) =====
+// Ngôn ngữ mặc định cho chat mới / CHAT_ID / preview; mỗi chat đổi riêng bằng /lang
+const DEFAULT_LANG = process.env.DEFAULT_LANG || "vi";
+
 const TA_SYMBOL = process.env.TA_SYMBOL || "BTCUSDT";
+const TA_CRON = process.env.TA_CRON || "0 8 * * *"; // default 8h sáng
+const CHARTS = process.env.CHARTS !== "0"; // CHARTS=0 để tắt ảnh chart kèm bài TA/intermarket
+// Watchlist: TA_SYMBOLS=BTCUSDT,ETHUSDT,SOLUSDT (mặc định chỉ TA_SYMBOL)
+const TA_SYMBOLS = (process.env.TA_SYMBOLS || TA_SYMBOL)
+  .split(",")
+  .map(s => s.trim().toUpperCase())
+  .filter(Boolean);
+
+// ===== MARKET DATA (klines / taker flow / OI / funding) =====
+// Thứ tự fallback giữa các sàn: provider đầu lỗi (chặn vùng, thiếu symbol...) → thử provider kế tiếp
+const MARKET_PROVIDERS = (process.env.MARKET_PROVIDERS || "binance,bybit,okx,coinbase")
+  .split(",")
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+// Ghi đè symbol theo sàn khi quy tắc tự map không đúng: "okx:PAXGUSDT=PAXG-USDT,coinbase:PAXGUSDT=PAXG-USD"
+const MARKET_SYMBOL_MAP = process.env.MARKET_SYMBOL_MAP || "";
+const MARKET_COOLDOWN_MIN = Number(process.env.MARKET_COOLDOWN_MIN || "5"); // bỏ qua provider vừa lỗi trong N phút
+// Số kỳ funding đã chốt để xét xu hướng (8h/kỳ → 9 kỳ ≈ 3 ngày)
+const DERIV_FUNDING_PERIODS = parseInt(process.env.DERIV_FUNDING_PERIODS || "9", 10);
 
 // ===== INTERMARKET (Binance-free) =====
 const ONCHAIN_CRON = process.env.ONCHAIN_CRON || "0 */4 * * *"; // default mỗi 4h
 const BTC_SPOT_SYMBOL = process.env.BTC_SPOT_SYMBOL || "BTCUSDT";
 const GOLD_SYMBOL = process.env.GOLD_SYMBOL || "PAXGUSDT"; // proxy vàng
 const SILVER_SYMBOL = process.env.SILVER_SYMBOL || "";     // optional
+// Ngưỡng động: so với lịch sử snapshot gần nhất (180 snapshot H4 ≈ 30 ngày)
+const INTERMARKET_HISTORY = parseInt(process.env.INTERMARKET_HISTORY || "180", 10);
+const ADAPTIVE_MIN_SAMPLES = parseInt(process.env.ADAPTIVE_MIN_SAMPLES || "30", 10); // ít hơn → dùng ngưỡng cố định
+
+// ===== PRICE ALERTS =====
+const ALERT_CRON = process.env.ALERT_CRON || "* * * * *"; // default mỗi phút
+const ALERT_HYSTERESIS_PCT = Number(process.env.ALERT_HYSTERESIS_PCT || "0.5"); // % giá phải lùi lại để re-arm
+const ALERT_MAX_PER_CHAT = parseInt(process.env.ALERT_MAX_PER_CHAT || "20", 10);
+
+// ===== RECAP (tổng kết ngày / tuần, gửi topic news) =====
+const RECAP_DAILY_CRON = process.env.RECAP_DAILY_CRON || "55 23 * * *"; // cuối ngày
+const RECAP_WEEKLY_CRON = process.env.RECAP_WEEKLY_CRON || "0 21 * * 0"; // tối Chủ nhật
+const RECAP_TOP_HEADLINES = parseInt(process.env.RECAP_TOP_HEADLINES || "5", 10);
+const RECAP_TOP_TAGS = parseInt(process.env.RECAP_TOP_TAGS || "8", 10);
 
 const CRON_TZ = "Asia/Ho_Chi_Minh";
 
-if (!BOT_TOKEN || !CHAT_ID) throw new Error("Missing BOT_TOKEN or CHAT_ID");
+// Báo admin chat (CHAT_ID) khi 1 nguồn RSS lỗi liên tục quá số giờ này
+const SOURCE_ALERT_HOURS = Number(process.env.SOURCE_ALERT_HOURS || "6");
+
+// ===== BOT COMMANDS (long-poll getUpdates) =====
+const BOT_COMMANDS = process.env.BOT_COMMANDS !== "0"; // BOT_COMMANDS=0 để tắt
+const COMMAND_COOLDOWN_SEC = parseInt(process.env.COMMAND_COOLDOWN_SEC || "120", 10);
+// Chỉ các chat này được dùng lệnh / nhận bài định kỳ (mặc định chỉ CHAT_ID); chat khác bị bỏ qua
+const ALLOWED_CHATS = new Set([CHAT_ID, ...(process.env.ALLOWED_CHATS || "").split(",")].map(s => String(s ?? "").trim()).filter(Boolean));
+// Telegram user id được coi là admin khi nhắn riêng (DM) với bot; chat riêng khác không có quyền admin
+const ADMIN_USERS = new Set((process.env.ADMIN_USERS || "").split(",").map(s => s.trim()).filter(Boolean));
+
+// ===== ADMIN HTTP (healthz / metrics / chạy job thủ công / preview) =====
+const ADMIN_PORT = parseInt(process.env.ADMIN_PORT || "0", 10); // 0 = tắt
+const ADMIN_HOST = process.env.ADMIN_HOST || "127.0.0.1";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ""; // bắt buộc cho /jobs/* và /preview/*
+
+// ===== OUTBOX (hàng đợi gửi Telegram) =====
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || "8", 10);
+const OUTBOX_GLOBAL_PER_SEC = parseInt(process.env.OUTBOX_GLOBAL_PER_SEC || "25", 10); // Telegram: ~30 msg/s
+
+if (!DRY_RUN && (!BOT_TOKEN || !CHAT_ID)) throw new Error("Missing BOT_TOKEN or CHAT_ID");
+if (!["", "record", "replay"].includes(HTTP_FIXTURES)) throw new Error(`Invalid HTTP_FIXTURES: ${HTTP_FIXTURES} (record|replay)`);
+if (!["google", "libre", "none"].includes(TRANSLATE_PROVIDER)) throw new Error(`Invalid TRANSLATE_PROVIDER: ${TRANSLATE_PROVIDER} (google|libre|none)`);
+if (TRANSLATE_PROVIDER === "libre" && !LIBRETRANSLATE_URL) throw new Error("TRANSLATE_PROVIDER=libre requires LIBRETRANSLATE_URL");
+// Worker dry-run vẫn chạy job định kỳ → đánh dấu tin đã đăng, lưu snapshot/sentiment vào DB.
+// Không cho dùng DB mặc định (production); "run <job> --dry-run" là preview nên không cần.
+if (DRY_RUN && CLI.command !== "run" && !process.env.DB_PATH) {
+  throw new Error("DRY_RUN worker requires an explicit DB_PATH (e.g. DB_PATH=./dryrun.sqlite) to keep the production DB untouched");
+}
 
 // ================= RSS SOURCES =================
-const RSS_SOURCES = [
+// Chỉ dùng để khởi tạo bảng rss_sources lần đầu; sau đó quản lý bằng lệnh /sources
+const DEFAULT_RSS_SOURCES = [
   { name: "CoinDesk", url: "https://www.coindesk.com/arc/outboundfeeds/rss/" },
   { name: "CoinTelegraph", url: "https://cointelegraph.com/rss" },
   { name: "Decrypt", url: "https://decrypt.co/feed" }
 ];
 
 // ================= HELPERS =================
-const parser = new Parser({ timeout: 15000 });
+const parser = new Parser();
+
+// argv → { command, args, flags }: "--k v" / "--k=v" là flag có giá trị, --dry-run là flag bật/tắt
+function parseCli(argv) {
+  const booleans = new Set(["dry-run"]);
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z][a-z-]*)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) args.push(argv[i]);
+    else if (m[2] !== undefined) flags[m[1]] = m[2];
+    else if (!booleans.has(m[1]) && argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) flags[m[1]] = argv[++i];
+    else flags[m[1]] = true;
+  }
+  return { command: args[0] || null, args: args.slice(1), flags };
+}
 
-function nowVN() {
-  return new Date().toLocaleString("vi-VN", {
+function nowVN(d = new Date()) {
+  return new Date(d).toLocaleString("vi-VN", {
     timeZone: "Asia/Ho_Chi_Minh",
     hour12: false
   });
@@ -57,9 +202,43 @@ function safeText(s, max = 280) {
   return t.length > max ? t.slice(0, max - 1) + "…" : t;
 }
 
-function fmt(n) {
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// Chạy fn cho từng phần tử với tối đa `limit` promise song song, giữ nguyên thứ tự kết quả
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return out;
+}
+
+function fmt(n, loc = "en-US") {
   if (n === null || n === undefined || Number.isNaN(n)) return "n/a";
-  return Math.round(n).toLocaleString("en-US");
+  return Math.round(n).toLocaleString(loc);
+}
+
+// Giá có thể < 1 (XRP, DOGE...) → giữ đủ chữ số có nghĩa
+function fmtPrice(n, loc = "en-US") {
+  if (!Number.isFinite(n)) return "n/a";
+  const abs = Math.abs(n);
+  if (abs >= 1000) return Math.round(n).toLocaleString(loc);
+  if (abs >= 1) return n.toLocaleString(loc, { maximumFractionDigits: 2 });
+  return n.toPrecision(4);
 }
 
 function toNum(x) {
@@ -67,10 +246,11 @@ function toNum(x) {
   return Number.isFinite(n) ? n : null;
 }
 
-function fmtPct(n) {
+// funding (%/kỳ) cần 4 chữ số: 0.0100%
+function fmtPct(n, digits = 2) {
   if (!Number.isFinite(n)) return "n/a";
   const sign = n >= 0 ? "+" : "";
-  return `${sign}${n.toFixed(2)}%`;
+  return `${sign}${n.toFixed(digits)}%`;
 }
 
 function fmtMoney(n) {
@@ -83,8 +263,140 @@ function fmtMoney(n) {
   return `${sign}${abs.toFixed(0)}`;
 }
 
-async function getJson(url, headers = {}) {
-  const res = await fetch(url, { headers: { accept: "application/json", ...headers } });
+// ================= LOCALES =================
+// Bundle: format (locale số/ngày + múi giờ) và các mẫu bài đăng / câu kết luận theo ngôn ngữ
+const LOCALES = { vi, en };
+const localeCache = new Map();
+
+// Bộ định dạng theo format của bundle; date/dateTime mặc định là thời điểm hiện tại
+function makeFormatters(cfg) {
+  const dateOpts = { timeZone: cfg.timeZone, ...cfg.date };
+  const dateTimeOpts = { timeZone: cfg.timeZone, ...cfg.dateTime };
+  return {
+    num: (n) => fmt(n, cfg.numbers),
+    price: (n) => fmtPrice(n, cfg.numbers),
+    pct: fmtPct,
+    money: fmtMoney,
+    fixed: (n, d) => (Number.isFinite(n) ? n.toFixed(d) : "n/a"),
+    date: (d = new Date()) => new Date(d).toLocaleDateString(cfg.dates, dateOpts),
+    dateTime: (d = new Date()) => new Date(d).toLocaleString(cfg.dates, dateTimeOpts)
+  };
+}
+
+// Ngôn ngữ không có bundle → DEFAULT_LANG (rồi vi)
+function locale(lang) {
+  const key = LOCALES[lang] ? lang : LOCALES[DEFAULT_LANG] ? DEFAULT_LANG : "vi";
+  if (!localeCache.has(key)) localeCache.set(key, { ...LOCALES[key], lang: key, f: makeFormatters(LOCALES[key].format) });
+  return localeCache.get(key);
+}
+
+// ================= RENDER (Telegram HTML) =================
+const TG_MAX_LEN = 4096;
+const TG_CAPTION_LEN = 1024;
+const TG_TAGS = new Set([
+  "b", "strong", "i", "em", "u", "ins", "s", "strike", "del",
+  "code", "pre", "a", "span", "tg-spoiler", "blockquote", "tg-emoji"
+]);
+
+// Kiểm tra HTML hợp lệ với parse_mode=HTML: chỉ tag Telegram hỗ trợ, đóng/mở cân bằng,
+// không còn "<" hay "&" trần. Lỗi → throw để job báo lỗi thay vì Telegram từ chối cả bài.
+function assertTelegramHtml(html) {
+  const stack = [];
+  const re = /<(\/?)([a-z][a-z0-9-]*)\b[^<>]*>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    const tag = m[2].toLowerCase();
+    if (!TG_TAGS.has(tag)) throw new Error(`Invalid HTML: unsupported tag <${tag}>`);
+    if (!m[1]) stack.push(tag);
+    else if (stack.pop() !== tag) throw new Error(`Invalid HTML: unbalanced </${tag}>`);
+  }
+  if (stack.length) throw new Error(`Invalid HTML: unclosed <${stack.at(-1)}>`);
+
+  const rest = html.replace(re, "");
+  if (rest.includes("<")) throw new Error("Invalid HTML: unescaped '<'");
+  if (/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/i.test(rest)) throw new Error("Invalid HTML: unescaped '&'");
+}
+
+// Thẻ / entity / xuống dòng / từ (từ dài cắt mỗi 100 ký tự) – đơn vị nhỏ nhất khi phải cắt block
+const HTML_TOKEN_RE = /<(\/?)([a-z][a-z0-9-]*)[^>]*>|&(?:[a-z]+|#\d+|#x[0-9a-f]+);|\n|[^<&\n ]{1,100} *| +|[<&]/giu;
+
+// Block quá dài (hiếm) → cắt ở dòng gần nhất, không có thì cắt giữa dòng; không bao giờ cắt giữa thẻ / entity.
+// Thẻ đang mở (<b>, <pre>, <a href>...) được đóng cuối phần trước và mở lại đầu phần sau.
+function splitLongBlock(block, max) {
+  if (block.length <= max) return [block];
+  const closeTags = (stack) => stack.map(t => `</${t.name}>`).reverse().join("");
+  const openTags = (stack) => stack.map(t => t.tag).join("");
+  const out = [];
+  let stack = [];
+  let cur = "";
+  let base = 0;   // độ dài phần thẻ mở lại ở đầu cur
+  let nl = null;  // { pos, stack } của "\n" cuối trong cur → điểm cắt ưu tiên
+
+  const cut = () => {
+    if (nl) {
+      out.push(cur.slice(0, nl.pos) + closeTags(nl.stack));
+      cur = openTags(nl.stack) + cur.slice(nl.pos + 1);
+      base = openTags(nl.stack).length;
+    } else {
+      out.push(cur + closeTags(stack));
+      cur = openTags(stack);
+      base = cur.length;
+    }
+    nl = null;
+  };
+
+  for (const m of block.matchAll(HTML_TOKEN_RE)) {
+    const tok = m[0];
+    let next = stack;
+    if (m[2] && !m[1]) next = [...stack, { name: m[2].toLowerCase(), tag: tok }];
+    else if (m[2]) {
+      const i = stack.findLastIndex(t => t.name === m[2].toLowerCase());
+      if (i >= 0) next = [...stack.slice(0, i), ...stack.slice(i + 1)];
+    }
+    while (cur.length > base && cur.length + tok.length + closeTags(next).length > max) cut();
+    if (tok === "\n" && cur.length > base) nl = { pos: cur.length, stack };
+    cur += tok;
+    stack = next;
+  }
+  if (cur.length > base) out.push(cur + closeTags(stack));
+  return out;
+}
+
+// header/blocks/footer là HTML đã escape. Trả về mảng tin ≤ 4096 ký tự,
+// tách theo ranh giới block và đánh số "Phần i/n" (partLabel theo locale) khi phải chia nhiều tin.
+function renderPost({ header, blocks = [], footer = "", partLabel = vi.common.part }) {
+  const SEP = "\n\n";
+  const budget = TG_MAX_LEN - header.length - SEP.length - 32; // chừa chỗ cho nhãn "Phần i/n"
+
+  const chunks = [[]];
+  let len = 0;
+  const push = (b) => {
+    if (chunks.at(-1).length && len + SEP.length + b.length > budget) {
+      chunks.push([]);
+      len = 0;
+    }
+    chunks.at(-1).push(b);
+    len += SEP.length + b.length;
+  };
+  blocks.flatMap(b => splitLongBlock(b, budget)).forEach(push);
+  if (footer) push(footer);
+
+  const parts = chunks.map((c, i) => {
+    const head = chunks.length > 1 ? `${header}\n<i>${partLabel(i + 1, chunks.length)}</i>` : header;
+    return [head, ...c].join(SEP);
+  });
+  parts.forEach(assertTelegramHtml);
+  return parts;
+}
+
+// Bài dạng nhiều đoạn (TA, intermarket): đoạn đầu là header, mỗi đoạn sau là 1 block
+function renderSections(text, partLabel) {
+  const [header, ...blocks] = text.split(/\n{2,}/);
+  return renderPost({ header, blocks, partLabel });
+}
+
+async function getJson(url, headers = {}, init = {}) {
+  const res = await httpFetch(url, { ...init, headers: { accept: "application/json", ...headers, ...init.headers } });
   const text = await res.text();
   let j;
   try { j = JSON.parse(text); } catch { j = { raw: text }; }
@@ -92,34 +404,98 @@ async function getJson(url, headers = {}) {
   return j;
 }
 
-// ================= GOOGLE TRANSLATE (FREE) =================
-async function translateToVi(text) {
-  const t = safeText(text, 800);
-  if (!t) return "";
+// ================= HTTP FIXTURES (record / replay) =================
+// Mọi request ra ngoài (RSS, sàn, mempool, dịch) đi qua httpFetch; Telegram thì không (không ghi token vào file).
+// Fixture: 1 file JSON / request, tên theo host + hash(method, url, body).
+function fixturePath(url, init) {
+  const method = (init.method || "GET").toUpperCase();
+  const body = typeof init.body === "string" ? init.body : "";
+  const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, "_");
+  return path.join(FIXTURES_DIR, `${host}-${sha1(`${method} ${url}\n${body}`).slice(0, 16)}.json`);
+}
 
-  const url =
-    "https://translate.googleapis.com/translate_a/single" +
-    "?client=gtx&sl=auto&tl=vi&dt=t&q=" +
-    encodeURIComponent(t);
+async function httpFetch(url, init = {}) {
+  if (!HTTP_FIXTURES) return fetch(url, init);
 
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return t;
+  const file = fixturePath(url, init);
+  if (HTTP_FIXTURES === "replay") {
+    if (!fs.existsSync(file)) throw new Error(`No fixture for ${init.method || "GET"} ${url} (record with HTTP_FIXTURES=record)`);
+    const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+    return new Response(fx.body === "" ? null : fx.body, { status: fx.status, headers: fx.headers });
+  }
 
-    const data = await res.json();
-    const translated = (data?.[0] || [])
-      .map(seg => seg?.[0])
-      .filter(Boolean)
-      .join("");
+  const res = await fetch(url, init);
+  const body = await res.text();
+  const headers = Object.fromEntries([...res.headers].filter(([k]) => k !== "set-cookie"));
+  fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ method: init.method || "GET", url, status: res.status, headers, body }, null, 1));
+  return new Response(body === "" ? null : body, { status: res.status, headers });
+}
 
-    return translated || t;
-  } catch {
-    return t;
+// ================= METRICS (Prometheus text format) =================
+// Counter/summary giữ trong RAM, reset khi restart (Prometheus tự xử lý reset counter)
+const METRIC_DEFS = {
+  newsbot_job_runs_total: { type: "counter", help: "Job runs by result" },
+  newsbot_job_duration_seconds: { type: "summary", help: "Job run duration in seconds" },
+  newsbot_rss_items_fetched_total: { type: "counter", help: "RSS items fetched per source" },
+  newsbot_rss_fetch_errors_total: { type: "counter", help: "RSS fetch failures per source" },
+  newsbot_rss_not_modified_total: { type: "counter", help: "RSS fetches answered 304 Not Modified per source" },
+  newsbot_rss_items_too_old_total: { type: "counter", help: "RSS items dropped by the publish-age cutoff per source" },
+  newsbot_telegram_sends_total: { type: "counter", help: "Telegram sends from the outbox by method and result" },
+  newsbot_translation_fallbacks_total: { type: "counter", help: "Translations that fell back to the original text" },
+  newsbot_market_fallbacks_total: { type: "counter", help: "Market data calls that failed on a provider" }
+};
+const metricValues = new Map(); // name -> Map(labelKey -> { labels, value } | { labels, sum, count })
+
+function metricSeries(name, labels) {
+  if (!metricValues.has(name)) metricValues.set(name, new Map());
+  const series = metricValues.get(name);
+  const key = JSON.stringify(labels);
+  if (!series.has(key)) series.set(key, { labels, value: 0, sum: 0, count: 0 });
+  return series.get(key);
+}
+
+function metricInc(name, labels = {}, n = 1) {
+  metricSeries(name, labels).value += n;
+}
+
+function metricObserve(name, labels, v) {
+  const s = metricSeries(name, labels);
+  s.sum += v;
+  s.count += 1;
+}
+
+function promLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) =>
+    `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// gauges: [{ name, help, series: [{ labels, value }] }] — tính tại thời điểm scrape
+function renderMetrics(gauges = []) {
+  const lines = [];
+  for (const [name, def] of Object.entries(METRIC_DEFS)) {
+    lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+    for (const s of metricValues.get(name)?.values() || []) {
+      if (def.type === "summary") {
+        lines.push(`${name}_sum${promLabels(s.labels)} ${s.sum}`, `${name}_count${promLabels(s.labels)} ${s.count}`);
+      } else {
+        lines.push(`${name}${promLabels(s.labels)} ${s.value}`);
+      }
+    }
+  }
+  for (const g of gauges) {
+    lines.push(`# HELP ${g.name} ${g.help}`, `# TYPE ${g.name} gauge`);
+    for (const s of g.series) {
+      if (Number.isFinite(s.value)) lines.push(`${g.name}${promLabels(s.labels || {})} ${s.value}`);
+    }
   }
+  return lines.join("\n") + "\n";
 }
 
 // ================= DB DEDUPE =================
-const db = new Database("./newsbot.sqlite");
+const db = new Database(DB_PATH);
 db.exec(`
   CREATE TABLE IF NOT EXISTS posted (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -131,470 +507,1521 @@ db.exec(`
     created_at TEXT DEFAULT (datetime('now'))
   );
 `);
+// Thêm cột cho bảng cũ (SQLite không có ADD COLUMN IF NOT EXISTS)
+function ensureColumn(table, column, def) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!cols.includes(column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${def}`);
+}
+ensureColumn("posted", "score", "REAL");
+ensureColumn("posted", "tags", "TEXT");
+ensureColumn("posted", "sentiment", "REAL"); // -1..1, sentiment.js
+
 const stmtHas = db.prepare("SELECT 1 FROM posted WHERE url_hash=?");
-const stmtIns = db.prepare("INSERT INTO posted(url_hash,url,title,source,published_at) VALUES (?,?,?,?,?)");
+const stmtIns = db.prepare("INSERT INTO posted(url_hash,url,title,source,published_at,score,tags,sentiment) VALUES (?,?,?,?,?,?,?,?)");
+
+// ================= TRANSLATE =================
+// Provider trả về bản dịch hoặc null (lỗi/không hỗ trợ) → giữ bản gốc và đánh dấu "chưa dịch"
+const TRANSLATORS = {
+  // Endpoint miễn phí (không chính thức) của Google Translate
+  google: async (text, target) => {
+    const url =
+      "https://translate.googleapis.com/translate_a/single" +
+      `?client=gtx&sl=auto&tl=${encodeURIComponent(target)}&dt=t&q=` +
+      encodeURIComponent(text);
+    const res = await httpFetch(url);
+    if (!res.ok) return null;
 
-// ================= TELEGRAM =================
-async function sendTelegramMessage(text) {
-  const url = `https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      chat_id: CHAT_ID,
-      text,
-      parse_mode: "HTML",
-      disable_web_page_preview: true
-    })
-  });
-  const data = await res.json();
-  if (!data.ok) throw new Error(`Telegram error: ${JSON.stringify(data).slice(0, 300)}`);
-  return data;
-}
+    const data = await res.json();
+    const translated = (data?.[0] || [])
+      .map(seg => seg?.[0])
+      .filter(Boolean)
+      .join("");
+    return translated || null;
+  },
 
-// =========================================================
-// ===================== NEWS JOB ===========================
-// =========================================================
-const KEYWORDS = [
-  "bitcoin","btc","ethereum","eth","solana","sol","xrp","bnb","doge","crypto","cryptocurrency",
-  "etf","sec","fed","binance","coinbase","hack","exploit","airdrop","on-chain","onchain","layer 2","l2",
-  "gold","xau","paxg","fed","inflation","rate"
-];
+  // LibreTranslate tự host
+  libre: async (text, target) => {
+    if (!LIBRETRANSLATE_URL) return null;
+    const j = await getJson(`${LIBRETRANSLATE_URL.replace(/\/+$/, "")}/translate`, {}, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        q: text,
+        source: "auto",
+        target,
+        format: "text",
+        ...(LIBRETRANSLATE_API_KEY ? { api_key: LIBRETRANSLATE_API_KEY } : {})
+      })
+    });
+    return j?.translatedText || null;
+  },
 
-function ruleRelevant(title, content) {
-  const s = (title + " " + content).toLowerCase();
-  return KEYWORDS.some(k => s.includes(k));
-}
+  none: async () => null
+};
 
-async function fetchAllRss() {
-  const all = [];
-  for (const s of RSS_SOURCES) {
-    try {
-      const feed = await parser.parseURL(s.url);
-      const items = (feed.items || []).map(it => ({
-        title: it.title || "",
-        link: it.link || "",
-        contentSnippet: it.contentSnippet || it.summary || "",
-        content: it.content || "",
-        publishedAt: it.isoDate || it.pubDate || "",
-        source: s.name
-      }));
-      all.push(...items);
-    } catch (e) {
-      console.error(`[RSS] Fail ${s.name}:`, e.message);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS translations (
+    text_hash TEXT NOT NULL,
+    lang TEXT NOT NULL,
+    provider TEXT,
+    translated TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (text_hash, lang)
+  );
+`);
+const stmtTrGet = db.prepare("SELECT translated FROM translations WHERE text_hash=? AND lang=?");
+const stmtTrIns = db.prepare("INSERT OR REPLACE INTO translations(text_hash,lang,provider,translated) VALUES (?,?,?,?)");
+
+// Trả về { text, ok }: ok=false khi không dịch được (text = bản gốc)
+async function translateText(text, target = "vi") {
+  const t = safeText(text, 800);
+  if (!t) return { text: "", ok: true };
+
+  const hash = sha1(t);
+  const cached = stmtTrGet.get(hash, target);
+  if (cached) return { text: cached.translated, ok: true };
+
+  const provider = TRANSLATORS[TRANSLATE_PROVIDER];
+  try {
+    const translated = await provider(t, target);
+    if (translated) {
+      stmtTrIns.run(hash, target, TRANSLATE_PROVIDER, translated);
+      return { text: translated, ok: true };
     }
+  } catch (e) {
+    console.warn(`[TRANSLATE] ${TRANSLATE_PROVIDER} fail:`, e.message);
   }
-  return all;
+  metricInc("newsbot_translation_fallbacks_total", { provider: TRANSLATE_PROVIDER });
+  return { text: t, ok: false };
 }
 
-function pickCandidates(raw) {
-  const seen = new Set();
-  const out = [];
-
-  for (const it of raw) {
-    if (!it.link || seen.has(it.link)) continue;
-    seen.add(it.link);
+// Fingerprint của từng cụm tin đã đăng (tin chính + link các nguồn trùng)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS story_clusters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url_hash TEXT UNIQUE,
+    title_tokens TEXT NOT NULL,
+    body_tokens TEXT NOT NULL,
+    links TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+  CREATE INDEX IF NOT EXISTS idx_story_clusters_created ON story_clusters(created_at);
+`);
+const stmtClusterRecent = db.prepare("SELECT title_tokens, body_tokens FROM story_clusters WHERE created_at >= datetime('now', ?)");
+const stmtClusterIns = db.prepare("INSERT OR IGNORE INTO story_clusters(url_hash,title_tokens,body_tokens,links) VALUES (?,?,?,?)");
 
-    const h = sha1(it.link);
-    if (stmtHas.get(h)) continue;
+// ================= SUBSCRIBERS =================
+const TOPICS = ["news", "ta", "intermarket"];
+const LANGS = Object.keys(LOCALES);
 
-    if (!ruleRelevant(it.title, it.contentSnippet || it.content)) continue;
+db.exec(`
+  CREATE TABLE IF NOT EXISTS subscribers (
+    chat_id TEXT PRIMARY KEY,
+    topics TEXT NOT NULL DEFAULT '',
+    lang TEXT NOT NULL DEFAULT 'vi',
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  );
+`);
+const stmtSubGet = db.prepare("SELECT * FROM subscribers WHERE chat_id=?");
+const stmtSubAll = db.prepare("SELECT * FROM subscribers WHERE topics <> ''");
+const stmtSubUpsert = db.prepare(`
+  INSERT INTO subscribers(chat_id, topics, lang) VALUES (@chat_id, @topics, @lang)
+  ON CONFLICT(chat_id) DO UPDATE SET topics=@topics, lang=@lang, updated_at=datetime('now')
+`);
 
-    out.push({ ...it, urlHash: h });
-  }
+// Chat chính luôn có bản ghi (INSERT OR IGNORE → không ghi đè nếu đã /unsubscribe)
+if (CHAT_ID) db.prepare("INSERT OR IGNORE INTO subscribers(chat_id, topics, lang) VALUES (?, ?, ?)").run(String(CHAT_ID), TOPICS.join(","), DEFAULT_LANG);
 
-  out.sort((a, b) => (new Date(b.publishedAt).getTime() || 0) - (new Date(a.publishedAt).getTime() || 0));
-  return out.slice(0, MAX_ITEMS * 2);
+function rowToSub(row) {
+  return {
+    chatId: row.chat_id,
+    topics: row.topics ? row.topics.split(",").filter(Boolean) : [],
+    lang: row.lang || DEFAULT_LANG
+  };
 }
 
-function buildNewsPost(items) {
-  const dateStr = new Date().toLocaleDateString("vi-VN");
-  let text = `❇️ TỔNG HỢP TIN CRYPTO | ${dateStr}\n`;
+function getSubscriber(chatId) {
+  const row = stmtSubGet.get(String(chatId));
+  return row ? rowToSub(row) : { chatId: String(chatId), topics: [], lang: DEFAULT_LANG };
+}
 
-  items.forEach((it, i) => {
-    const titleShow = it.title_vi || it.title;
-    const snippetShow = it.snippet_vi || it.contentSnippet || "";
-    text += `\n🔹 ${i + 1}) <b>${safeText(titleShow, 140)}</b>\n`;
-    text += `🔹 Nguồn: ${it.source}\n`;
-    if (snippetShow) text += `🔹 Tóm tắt: ${safeText(snippetShow, 260)}\n`;
-    text += `🔹 Link: ${it.link}\n`;
+function saveSubscriber(sub) {
+  stmtSubUpsert.run({
+    chat_id: String(sub.chatId),
+    topics: TOPICS.filter(t => sub.topics.includes(t)).join(","),
+    lang: sub.lang
   });
+}
 
-  text += `\n🔹 Lưu ý: Tin tức chỉ mang tính tham khảo, không phải lời khuyên đầu tư.`;
-  return text;
+function isAllowedChat(chatId) {
+  return ALLOWED_CHATS.has(String(chatId));
 }
 
-async function runNewsJob() {
-  const raw = await fetchAllRss();
-  const candidates = pickCandidates(raw);
-  if (candidates.length === 0) return { sent: false, reason: "no_candidates" };
+// Chat đã đăng ký nhưng bị gỡ khỏi ALLOWED_CHATS thì không nhận bài nữa
+function subscribersFor(topic) {
+  return stmtSubAll.all().map(rowToSub).filter(s => s.topics.includes(topic) && isAllowedChat(s.chatId));
+}
 
-  const picked = candidates.slice(0, MAX_ITEMS);
-  if (picked.length < MIN_ITEMS) {
-    return { sent: false, reason: "not_enough_relevant", count: picked.length };
-  }
+// ================= RSS SOURCES (DB + health) =================
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rss_sources (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    url TEXT NOT NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    keywords TEXT,
+    last_success_at INTEGER,
+    last_error TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    failing_since INTEGER,
+    alerted INTEGER NOT NULL DEFAULT 0,
+    last_item_count INTEGER NOT NULL DEFAULT 0,
+    total_items INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+`);
+ensureColumn("rss_sources", "etag", "TEXT");
+ensureColumn("rss_sources", "last_modified", "TEXT");
+const stmtSrcAll = db.prepare("SELECT * FROM rss_sources ORDER BY id");
+const stmtSrcEnabled = db.prepare("SELECT * FROM rss_sources WHERE enabled=1 ORDER BY id");
+const stmtSrcGet = db.prepare("SELECT * FROM rss_sources WHERE name=? COLLATE NOCASE");
+const stmtSrcIns = db.prepare("INSERT INTO rss_sources(name,url) VALUES (?,?)");
+const stmtSrcDel = db.prepare("DELETE FROM rss_sources WHERE id=?");
+const stmtSrcEnable = db.prepare("UPDATE rss_sources SET enabled=? WHERE id=?");
+const stmtSrcKeywords = db.prepare("UPDATE rss_sources SET keywords=? WHERE id=?");
+const stmtSrcOk = db.prepare(`
+  UPDATE rss_sources SET last_success_at=?, last_error=NULL, consecutive_failures=0, failing_since=NULL,
+    alerted=0, last_item_count=?, total_items=total_items+? WHERE id=?
+`);
+const stmtSrcFail = db.prepare(`
+  UPDATE rss_sources SET last_error=?, consecutive_failures=consecutive_failures+1,
+    failing_since=COALESCE(failing_since, ?) WHERE id=?
+`);
+// 304 Not Modified: nguồn vẫn sống (reset lỗi) nhưng giữ nguyên số tin lần cuối
+const stmtSrcNotModified = db.prepare(`
+  UPDATE rss_sources SET last_success_at=?, last_error=NULL, consecutive_failures=0, failing_since=NULL, alerted=0 WHERE id=?
+`);
+const stmtSrcAlerted = db.prepare("UPDATE rss_sources SET alerted=1 WHERE id=?");
+// Validator HTTP của lần tải gần nhất → gửi If-None-Match / If-Modified-Since
+const stmtSrcValidators = db.prepare("UPDATE rss_sources SET etag=?, last_modified=? WHERE id=?");
 
-  for (const it of picked) {
-    it.title_vi = await translateToVi(it.title);
-    const snippet = it.contentSnippet || it.content || "";
-    it.snippet_vi = await translateToVi(snippet);
-  }
+if (!db.prepare("SELECT 1 FROM rss_sources LIMIT 1").get()) {
+  for (const src of DEFAULT_RSS_SOURCES) stmtSrcIns.run(src.name, src.url);
+}
 
-  const post = buildNewsPost(picked);
-  await sendTelegramMessage(post);
+// keywords: NULL = chỉ chấm theo luật chung; ngược lại tin khớp 1 keyword riêng là đủ điều kiện đăng,
+// tin không khớp vẫn được xét theo điểm chung (keyword riêng mở rộng, không thu hẹp)
+function sourceKeywords(row) {
+  return row.keywords ? row.keywords.split(",").map(k => k.trim().toLowerCase()).filter(Boolean) : null;
+}
 
-  const tx = db.transaction((arr) => {
-    for (const it of arr) {
-      try { stmtIns.run(it.urlHash, it.link, it.title, it.source, it.publishedAt || ""); } catch {}
-    }
+// ================= TELEGRAM =================
+// payload: object (gửi JSON) hoặc FormData (multipart, dùng cho sendPhoto)
+async function telegramApi(method, payload) {
+  if (DRY_RUN) throw new Error(`Telegram ${method} disabled in dry-run`);
+  const url = `https://api.telegram.org/bot${BOT_TOKEN}/${method}`;
+  const isForm = payload instanceof FormData;
+  const res = await fetch(url, {
+    method: "POST",
+    ...(isForm ? {} : { headers: { "Content-Type": "application/json" } }),
+    body: isForm ? payload : JSON.stringify(payload)
   });
-  tx(picked);
-
-  return { sent: true, count: picked.length };
+  const text = await res.text();
+  let data;
+  try { data = JSON.parse(text); } catch { data = { ok: false, error_code: res.status, description: text.slice(0, 200) }; }
+  if (!data.ok) {
+    const err = new Error(`Telegram error: ${JSON.stringify(data).slice(0, 300)}`);
+    err.code = data.error_code ?? res.status;
+    err.retryAfter = data.parameters?.retry_after ?? null;
+    throw err;
+  }
+  return data;
 }
 
-// =========================================================
-// ===================== TA JOB (giữ nguyên) =================
-// =========================================================
-async function fetchKlines(symbol, interval, limit = 200) {
-  const url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Binance klines error: ${await res.text()}`);
-  const data = await res.json();
-  return data.map(k => ({
-    time: k[0],
-    open: Number(k[1]),
-    high: Number(k[2]),
-    low: Number(k[3]),
-    close: Number(k[4]),
-    volume: Number(k[5]),
-  }));
+// opts.replyTo: message_id cần trả lời (dùng cho bot command)
+async function sendTelegramMessage(text, opts = {}) {
+  return telegramApi("sendMessage", {
+    chat_id: opts.chatId ?? CHAT_ID,
+    text,
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+    ...(opts.replyTo ? { reply_to_message_id: opts.replyTo, allow_sending_without_reply: true } : {})
+  });
 }
 
-function ema(values, period) {
-  const k = 2 / (period + 1);
-  let prev = values[0];
-  const out = [prev];
-  for (let i = 1; i < values.length; i++) {
-    prev = values[i] * k + prev * (1 - k);
-    out.push(prev);
+// photo: Buffer PNG; caption HTML ≤ 1024 ký tự
+async function sendTelegramPhoto(photo, caption, opts = {}) {
+  const form = new FormData();
+  form.set("chat_id", String(opts.chatId ?? CHAT_ID));
+  form.set("photo", new Blob([photo], { type: "image/png" }), "chart.png");
+  if (caption) {
+    form.set("caption", caption);
+    form.set("parse_mode", "HTML");
   }
-  return out;
+  if (opts.replyTo) {
+    form.set("reply_to_message_id", String(opts.replyTo));
+    form.set("allow_sending_without_reply", "true");
+  }
+  return telegramApi("sendPhoto", form);
 }
 
-function rsi(values, period = 14) {
-  let gains = 0, losses = 0;
-  for (let i = 1; i <= period; i++) {
-    const diff = values[i] - values[i - 1];
-    if (diff >= 0) gains += diff;
-    else losses -= diff;
+// ================= OUTBOX =================
+// Mọi bài của job đều ghi vào outbox trước, sender loop gửi dần → restart/crash vẫn gửi tiếp.
+// Giao hàng kiểu at-least-once: crash đúng lúc vừa gửi xong có thể gây trùng 1 tin.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id TEXT NOT NULL,
+    topic TEXT,
+    text TEXT NOT NULL,
+    reply_to INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    message_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    sent_at TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, id);
+`);
+ensureColumn("outbox", "pin", "INTEGER NOT NULL DEFAULT 0");
+ensureColumn("outbox", "photo", "BLOB"); // có ảnh → sendPhoto, text là caption
+const stmtOutboxIns = db.prepare("INSERT INTO outbox(chat_id,topic,text,reply_to,pin,photo) VALUES (?,?,?,?,?,?)");
+const stmtOutboxPending = db.prepare("SELECT * FROM outbox WHERE status='pending' ORDER BY id LIMIT 200");
+const stmtOutboxSent = db.prepare("UPDATE outbox SET status='sent', message_id=?, attempts=attempts+1, last_error=NULL, sent_at=datetime('now') WHERE id=?");
+const stmtOutboxRetry = db.prepare("UPDATE outbox SET attempts=?, next_attempt_at=?, last_error=? WHERE id=?");
+const stmtOutboxFailed = db.prepare("UPDATE outbox SET status='failed', attempts=?, last_error=? WHERE id=?");
+const stmtOutboxCounts = db.prepare("SELECT status, COUNT(*) AS n FROM outbox GROUP BY status");
+const stmtOutboxPrune = db.prepare("DELETE FROM outbox WHERE status<>'pending' AND created_at < datetime('now', '-7 days')");
+
+// Ghi vào outbox cho chat yêu cầu (opts.chatId – bot command) hoặc mọi chat đã đăng ký topic.
+// render: tin (string | string[] nhiều phần) hoặc (sub) => tin để dựng theo thiết lập từng chat.
+// opts.pin: ghim phần đầu sau khi gửi. opts.photo: ảnh PNG gửi trước, bài làm caption nếu vừa
+// giới hạn caption, ngược lại caption chỉ là tiêu đề và bài gửi tiếp ngay sau ảnh.
+// Trả về số chat đã xếp hàng.
+function deliver(topic, render, opts = {}) {
+  // Preview: chỉ render (theo opts.lang) vào mảng opts.preview, không xếp hàng gửi
+  if (opts.preview) {
+    const sub = { chatId: "preview", topics: [topic], lang: opts.lang || DEFAULT_LANG };
+    const post = typeof render === "function" ? render(sub) : render;
+    opts.preview.push({ topic, parts: Array.isArray(post) ? post : [post], photo: opts.photo || null });
+    return 0;
   }
-  let avgGain = gains / period;
-  let avgLoss = losses / period;
 
-  const out = new Array(values.length).fill(null);
-  out[period] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+  const targets = opts.chatId
+    ? [getSubscriber(opts.chatId)]
+    : subscribersFor(topic);
 
-  for (let i = period + 1; i < values.length; i++) {
-    const diff = values[i] - values[i - 1];
-    const gain = diff > 0 ? diff : 0;
-    const loss = diff < 0 ? -diff : 0;
-    avgGain = (avgGain * (period - 1) + gain) / period;
-    avgLoss = (avgLoss * (period - 1) + loss) / period;
-    out[i] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+  for (const sub of targets) {
+    const post = typeof render === "function" ? render(sub) : render;
+    if (DRY_RUN) {
+      writeDryRun(topic, sub, Array.isArray(post) ? post : [post], opts.photo || null);
+      continue;
+    }
+    let parts = (Array.isArray(post) ? post : [post]).map(text => ({ text, photo: null }));
+
+    if (opts.photo) {
+      const fits = parts.length === 1 && parts[0].text.length <= TG_CAPTION_LEN;
+      const caption = fits ? parts[0].text : parts[0].text.split("\n\n")[0];
+      parts = [{ text: caption, photo: opts.photo }, ...(fits ? [] : parts)];
+    }
+
+    parts.forEach(({ text, photo }, i) => {
+      // Chỉ phần đầu trả lời tin nhắn lệnh, các phần sau nối tiếp
+      const first = i === 0;
+      stmtOutboxIns.run(String(sub.chatId), topic, text, first ? opts.replyTo ?? null : null, first && opts.pin ? 1 : 0, photo);
+    });
   }
-  return out;
+  if (targets.length > 0 && !DRY_RUN) setImmediate(flushOutbox);
+  return targets.length;
 }
 
-function atr(candles, period = 14) {
-  const tr = [];
-  for (let i = 1; i < candles.length; i++) {
-    const h = candles[i].high;
-    const l = candles[i].low;
-    const pc = candles[i - 1].close;
-    tr.push(Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc)));
-  }
-  let prev = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
-  const out = new Array(candles.length).fill(null);
-  out[period] = prev;
-  for (let i = period + 1; i < candles.length; i++) {
-    const curTR = tr[i - 1];
-    prev = (prev * (period - 1) + curTR) / period;
-    out[i] = prev;
+// Dry-run: thay cho outbox – in bài ra stdout, hoặc ghi <stt>-<topic>-<lang>.html (+ .png) vào DRY_RUN_DIR
+let dryRunSeq = 0;
+function writeDryRun(topic, sub, parts, photo) {
+  const seq = String(++dryRunSeq).padStart(3, "0");
+  if (DRY_RUN_DIR) {
+    fs.mkdirSync(DRY_RUN_DIR, { recursive: true });
+    const base = path.join(DRY_RUN_DIR, `${seq}-${topic}-${sub.lang}`);
+    fs.writeFileSync(`${base}.html`, parts.join("\n\n<!-- ===== -->\n\n"));
+    if (photo) fs.writeFileSync(`${base}.png`, photo);
+    console.log(`[DRY-RUN] ${topic} → ${base}.html${photo ? " (+ .png)" : ""}`);
+    return;
   }
-  return out;
+  parts.forEach((text, i) => {
+    const photoNote = photo && i === 0 ? ` | kèm ảnh PNG ${photo.length} bytes` : "";
+    console.log(`===== [DRY-RUN] #${seq} ${topic} → chat ${sub.chatId} (${sub.lang}) – phần ${i + 1}/${parts.length}${photoNote} =====\n${text}\n`);
+  });
 }
 
-function swingLevels(candles, lookback = 60) {
-  const slice = candles.slice(-lookback);
-  const highs = slice.map(x => x.high);
-  const lows = slice.map(x => x.low);
+// Giới hạn Telegram: ~1 msg/s mỗi chat riêng, ~20 msg/phút mỗi group/channel (chat_id âm)
+function chatGapMs(chatId) {
+  return String(chatId).startsWith("-") ? 3000 : 1000;
+}
 
-  const hi = Math.max(...highs);
-  const lo = Math.min(...lows);
-  const lastClose = candles[candles.length - 1].close;
+function backoffMs(attempts) {
+  return Math.min(5000 * 2 ** (attempts - 1), 60 * 60 * 1000);
+}
 
-  const r1 = hi;
-  const r2 = (hi + lastClose) / 2;
-  const s1 = lo;
-  const s2 = (lo + lastClose) / 2;
+const chatReadyAt = new Map(); // chat_id -> timestamp được gửi tiếp
+let lastSendAt = 0;
+let outboxBusy = false;
 
-  const resist = [r2, r1].sort((a, b) => a - b);
-  const support = [s2, s1].sort((a, b) => b - a);
+async function sendOutboxRow(row) {
+  const globalGap = 1000 / OUTBOX_GLOBAL_PER_SEC;
+  const wait = lastSendAt + globalGap - Date.now();
+  if (wait > 0) await sleep(wait);
+  lastSendAt = Date.now();
 
-  return { resist, support };
-}
+  const attempts = row.attempts + 1;
+  const sendMethod = row.photo ? "sendPhoto" : "sendMessage";
+  try {
+    const sendOpts = { chatId: row.chat_id, replyTo: row.reply_to };
+    const data = row.photo
+      ? await sendTelegramPhoto(row.photo, row.text, sendOpts)
+      : await sendTelegramMessage(row.text, sendOpts);
+    const messageId = data.result?.message_id ?? null;
+    stmtOutboxSent.run(messageId, row.id);
+    metricInc("newsbot_telegram_sends_total", { method: sendMethod, status: "ok" });
+    chatReadyAt.set(row.chat_id, Date.now() + chatGapMs(row.chat_id));
+    if (row.pin && messageId) {
+      // Bot cần quyền ghim; lỗi ghim không ảnh hưởng trạng thái đã gửi
+      telegramApi("pinChatMessage", { chat_id: row.chat_id, message_id: messageId })
+        .catch(e => console.warn(`[OUTBOX] Pin fail chat=${row.chat_id}:`, e.message));
+    }
+    return true;
+  } catch (e) {
+    if (e.code === 429) {
+      // Không tính là lỗi: chờ đúng retry_after Telegram yêu cầu
+      const retryMs = ((e.retryAfter ?? 5) + 1) * 1000;
+      stmtOutboxRetry.run(row.attempts, Date.now() + retryMs, e.message, row.id);
+      chatReadyAt.set(row.chat_id, Date.now() + retryMs);
+      metricInc("newsbot_telegram_sends_total", { method: sendMethod, status: "rate_limited" });
+      console.warn(`[OUTBOX] 429 chat=${row.chat_id}, retry sau ${retryMs / 1000}s`);
+      return false;
+    }
 
-function clamp(x, a, b) {
-  return Math.max(a, Math.min(b, x));
+    // 4xx khác (bad request, bị kick, chat không tồn tại) → gửi lại cũng vô ích
+    const permanent = Number.isFinite(e.code) && e.code >= 400 && e.code < 500;
+    metricInc("newsbot_telegram_sends_total", { method: sendMethod, status: permanent || attempts >= OUTBOX_MAX_ATTEMPTS ? "failed" : "retry" });
+    if (permanent || attempts >= OUTBOX_MAX_ATTEMPTS) {
+      stmtOutboxFailed.run(attempts, e.message, row.id);
+      console.error(`[OUTBOX] Failed #${row.id} chat=${row.chat_id}:`, e.message);
+    } else {
+      stmtOutboxRetry.run(attempts, Date.now() + backoffMs(attempts), e.message, row.id);
+      console.warn(`[OUTBOX] Retry #${row.id} (lần ${attempts}):`, e.message);
+    }
+    return false;
+  }
 }
 
-function scorePriceAction({ close, ema50, rsi14, atr14, h4Trend }) {
-  let score = 5;
-
-  if (close > ema50) score += 2;
-  else score -= 2;
+async function flushOutbox() {
+  if (outboxBusy) return;
+  outboxBusy = true;
+  try {
+    for (;;) {
+      const now = Date.now();
+      const blocked = new Set(); // giữ đúng thứ tự tin trong từng chat
+      let progressed = false;
+
+      for (const row of stmtOutboxPending.all()) {
+        if (blocked.has(row.chat_id)) continue;
+        if (row.next_attempt_at > now || (chatReadyAt.get(row.chat_id) || 0) > now) {
+          blocked.add(row.chat_id);
+          continue;
+        }
+        const ok = await sendOutboxRow(row);
+        blocked.add(row.chat_id);
+        if (ok) progressed = true;
+      }
+
+      if (!progressed) break;
+    }
+  } catch (e) {
+    console.error("[OUTBOX] Error:", e.message);
+  } finally {
+    outboxBusy = false;
+  }
+}
 
-  if (rsi14 >= 60) score += 1.5;
-  else if (rsi14 <= 40) score -= 1.5;
+function outboxCounts() {
+  const out = { pending: 0, sent: 0, failed: 0 };
+  for (const r of stmtOutboxCounts.all()) out[r.status] = r.n;
+  return out;
+}
 
-  const volPct = atr14 ? (atr14 / close) * 100 : 0;
-  if (volPct >= 6) score -= 1;
-  else if (volPct <= 3) score += 0.5;
+// =========================================================
+// ===================== NEWS JOB ===========================
+// =========================================================
+// ================= RELEVANCE SCORING =================
+// Mỗi rule: terms (khớp theo ranh giới từ), weight (âm = loại trừ), tag (chủ đề, tuỳ chọn).
+// Khớp ở tiêu đề được nhân titleMultiplier; mỗi rule chỉ tính 1 lần.
+const DEFAULT_RELEVANCE_RULES = {
+  minScore: 2,
+  titleMultiplier: 1.5,
+  recencyHalfLifeHours: 12,
+  rules: [
+    { tag: "btc", weight: 2, terms: ["bitcoin", "btc"] },
+    { tag: "eth", weight: 2, terms: ["ethereum", "ether", "eth"] },
+    { tag: "altcoin", weight: 1.5, terms: ["solana", "sol", "xrp", "bnb", "doge", "dogecoin"] },
+    { tag: "exchange", weight: 1.5, terms: ["binance", "coinbase"] },
+    { weight: 1, terms: ["crypto", "cryptocurrency", "airdrop", "on-chain", "onchain", "layer 2", "l2", "stablecoin"] },
+    { tag: "regulation", weight: 2.5, terms: ["sec", "cftc", "regulation", "regulator", "lawsuit", "mica"] },
+    { tag: "hack", weight: 3, terms: ["hack", "hacked", "exploit", "exploited", "drained", "stolen"] },
+    { tag: "etf", weight: 2.5, terms: ["etf", "etfs"] },
+    { tag: "macro", weight: 2, terms: ["fed", "fomc", "inflation", "cpi", "interest rate", "rate cut", "rate hike", "powell"] },
+    { tag: "gold", weight: 2, terms: ["gold", "xau", "paxg"] },
+    { weight: -4, terms: ["sponsored", "price prediction", "press release", "giveaway"] }
+  ],
+  // Tin nóng: đủ điểm VÀ (có tag ưu tiên hoặc tiêu đề khớp term ưu tiên).
+  // 4.5 = 1 term nhóm hack (3) ở tiêu đề × titleMultiplier → "sàn X bị hack" là đủ, không cần thêm từ khóa
+  breaking: {
+    minScore: 4.5,
+    tags: ["hack"],
+    terms: ["approve", "approves", "approved", "approval", "ban", "bans", "banned", "exploit", "delist", "bankruptcy"]
+  }
+};
 
-  if (h4Trend === "up") score += 1;
-  if (h4Trend === "down") score -= 1;
+function termRegex(term) {
+  const esc = String(term).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![a-z0-9])${esc}(?![a-z0-9])`, "i");
+}
 
-  return clamp(score, 0, 10);
+function compileRelevanceRules(cfg) {
+  const breaking = { ...DEFAULT_RELEVANCE_RULES.breaking, ...cfg.breaking };
+  return {
+    ...DEFAULT_RELEVANCE_RULES,
+    ...cfg,
+    breaking: { ...breaking, regexes: (breaking.terms || []).map(termRegex) },
+    rules: (cfg.rules || DEFAULT_RELEVANCE_RULES.rules).map(r => ({
+      tag: r.tag || null,
+      weight: Number(r.weight) || 0,
+      regexes: (r.terms || []).map(termRegex)
+    }))
+  };
 }
 
-function detectMarketState(d1Candles, ema50D, atrD) {
-  const last = d1Candles[d1Candles.length - 1];
-  const slice = d1Candles.slice(-20);
+let relevanceCache = { mtimeMs: null, rules: compileRelevanceRules(DEFAULT_RELEVANCE_RULES) };
 
-  const highs = slice.map(x => x.high);
-  const lows = slice.map(x => x.low);
+function loadRelevanceRules() {
+  let stat;
+  try { stat = fs.statSync(RELEVANCE_RULES_FILE); } catch { stat = null; }
 
-  const maxHigh = Math.max(...highs);
-  const minLow = Math.min(...lows);
+  const mtimeMs = stat ? stat.mtimeMs : null;
+  if (mtimeMs === relevanceCache.mtimeMs) return relevanceCache.rules;
 
-  const range = maxHigh - minLow;
-  const rangePct = (range / last.close) * 100;
-  const atrPct = atrD ? (atrD / last.close) * 100 : 0;
+  let rules = compileRelevanceRules(DEFAULT_RELEVANCE_RULES);
+  if (stat) {
+    try {
+      rules = compileRelevanceRules(JSON.parse(fs.readFileSync(RELEVANCE_RULES_FILE, "utf8")));
+      console.log(`[NEWS] Loaded relevance rules: ${RELEVANCE_RULES_FILE}`);
+    } catch (e) {
+      console.error(`[NEWS] Invalid ${RELEVANCE_RULES_FILE}, dùng luật mặc định:`, e.message);
+    }
+  }
+  relevanceCache = { mtimeMs, rules };
+  return rules;
+}
 
-  const ema20Series = ema(d1Candles.map(x => x.close), 20);
-  const ema20Now = ema20Series.at(-1);
-  const ema20Prev = ema20Series.at(-6);
-  const slopePct = ema20Prev ? ((ema20Now - ema20Prev) / ema20Prev) * 100 : 0;
+function scoreRelevance(title, content, cfg = loadRelevanceRules()) {
+  let score = 0;
+  const tags = new Set();
 
-  const body = Math.abs(last.close - last.open);
-  const bodyPct = (body / last.close) * 100;
+  for (const r of cfg.rules) {
+    const inTitle = r.regexes.some(re => re.test(title));
+    const inBody = !inTitle && r.regexes.some(re => re.test(content));
+    if (!inTitle && !inBody) continue;
 
-  if (last.close >= maxHigh * 0.998 && bodyPct >= 0.6) {
-    return { state: "BREAKOUT", note: "Giá đóng cửa tiệm cận/vượt đỉnh 20 phiên, thân nến rõ" };
-  }
-  if (last.close <= minLow * 1.002 && bodyPct >= 0.6) {
-    return { state: "BREAKDOWN", note: "Giá đóng cửa tiệm cận/thủng đáy 20 phiên, thân nến rõ" };
+    score += inTitle ? r.weight * cfg.titleMultiplier : r.weight;
+    if (r.tag && r.weight > 0) tags.add(r.tag);
   }
+  return { score, tags: [...tags] };
+}
 
-  const emaFlat = Math.abs(slopePct) <= 0.35;
-  const tightRange = rangePct <= 6.0;
-  const lowVol = atrPct <= 3.5;
+function isBreaking(it, cfg = loadRelevanceRules()) {
+  const b = cfg.breaking;
+  if (!b || it.score < b.minScore) return false;
 
-  if ((tightRange && emaFlat) || (tightRange && lowVol)) {
-    return { state: "TÍCH LŨY", note: "Biên độ hẹp, EMA phẳng/biến động thấp → ưu tiên chờ phá vỡ" };
-  }
+  const ts = new Date(it.publishedAt).getTime();
+  if (!Number.isFinite(ts) || Date.now() - ts > BREAKING_MAX_AGE_HOURS * 3600000) return false;
+
+  return it.tags.some(t => b.tags.includes(t)) || b.regexes.some(re => re.test(it.title));
+}
 
-  const aboveEma = last.close >= ema50D;
-  const atrRising = atrPct >= 4.0;
-  const emaWeak = slopePct < 0.1;
+// Điểm xếp hạng = điểm liên quan × hệ số suy giảm theo tuổi tin
+function rankScore(it, cfg) {
+  const ts = new Date(it.publishedAt).getTime();
+  const ageHours = Number.isFinite(ts) ? Math.max(0, (Date.now() - ts) / 3600000) : cfg.recencyHalfLifeHours * 2;
+  return it.score * 0.5 ** (ageHours / cfg.recencyHalfLifeHours);
+}
 
-  if (aboveEma && emaWeak && atrRising) {
-    return { state: "PHÂN PHỐI", note: "Động lượng yếu dần, biến động tăng → dễ nhiễu/giật 2 chiều" };
+// source id -> item của lần tải 200 gần nhất (đi cùng etag/last_modified trong DB): 304 thì dùng lại,
+// tin chưa đăng không bị mất. Cache rỗng (mới khởi động) → không gửi validator, tải đủ feed.
+const rssItemCache = new Map();
+
+// Tải feed qua httpFetch (record/replay được) rồi parse bằng rss-parser.
+// Gửi ETag / Last-Modified đã lưu → 304 trả { notModified: true }, không tải lại cả feed.
+// Khi dùng fixtures thì bỏ header điều kiện: fixture không phân biệt header, ghi 304 sẽ đè mất feed đã lưu.
+async function fetchFeed(src) {
+  const headers = { accept: "application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8" };
+  if (!HTTP_FIXTURES && rssItemCache.has(src.id)) {
+    if (src.etag) headers["if-none-match"] = src.etag;
+    if (src.last_modified) headers["if-modified-since"] = src.last_modified;
   }
 
-  return { state: "TRUNG TÍNH", note: "Chưa có mẫu hình rõ ràng, ưu tiên phản ứng tại vùng" };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await httpFetch(src.url, { headers, signal: AbortSignal.timeout(RSS_TIMEOUT_MS) });
+      if (res.status === 304) return { notModified: true };
+      if (!res.ok) {
+        const err = new Error(`Status code ${res.status}`);
+        err.retryable = res.status >= 500 || res.status === 429;
+        throw err;
+      }
+      const feed = await parser.parseString(await res.text());
+      return {
+        feed,
+        etag: res.headers.get("etag"),
+        lastModified: res.headers.get("last-modified")
+      };
+    } catch (e) {
+      // 4xx / XML hỏng thì thử lại cũng vô ích; lỗi mạng, timeout, 5xx, 429 → backoff rồi thử lại
+      const retryable = e.retryable ?? (e.name === "TimeoutError" || e.name === "AbortError" || e.name === "FetchError");
+      if (!retryable || attempt >= RSS_RETRIES) throw e;
+      await sleep(RSS_RETRY_BASE_MS * 2 ** attempt);
+    }
+  }
 }
 
-function buildDailyTA({ symbol, d1, h4 }) {
-  const dateStr = new Date().toLocaleDateString("vi-VN");
+// Tin có ngày đăng cũ hơn RSS_MAX_AGE_HOURS → bỏ; không có ngày (hoặc parse lỗi) thì giữ
+function isTooOld(publishedAt, now = Date.now()) {
+  if (!RSS_MAX_AGE_HOURS) return false;
+  const ts = new Date(publishedAt).getTime();
+  return Number.isFinite(ts) && now - ts > RSS_MAX_AGE_HOURS * 3600000;
+}
 
-  const dClose = d1[d1.length - 1].close;
-  const dCloses = d1.map(x => x.close);
+// scheduled=false (bot command / preview): không cập nhật validator + cache, để lần chạy định kỳ
+// không nhận 304 cho nội dung nó chưa từng xử lý
+async function fetchSource(s, scheduled) {
+  const keywords = sourceKeywords(s);
+  try {
+    const r = await fetchFeed(s);
+    if (r.notModified) {
+      metricInc("newsbot_rss_not_modified_total", { source: s.name });
+      stmtSrcNotModified.run(Date.now(), s.id);
+      if (s.alerted) {
+        deliver("admin", `✅ Nguồn RSS <b>${escapeHtml(s.name)}</b> đã hoạt động lại (không có tin mới).`, { chatId: CHAT_ID });
+      }
+    }
+    const feedItems = r.notModified ? rssItemCache.get(s.id) || [] : r.feed.items || [];
+    if (!r.notModified && scheduled) {
+      rssItemCache.set(s.id, feedItems);
+      stmtSrcValidators.run(r.etag || null, r.lastModified || null, s.id);
+    }
 
-  const ema20D = ema(dCloses, 20).at(-1);
-  const ema50D = ema(dCloses, 50).at(-1);
-  const rsiD = rsi(dCloses, 14).at(-1);
-  const atrD = atr(d1, 14).at(-1);
+    const now = Date.now();
+    const items = [];
+    let tooOld = 0;
+    for (const it of feedItems) {
+      const publishedAt = it.isoDate || it.pubDate || "";
+      if (isTooOld(publishedAt, now)) { tooOld++; continue; }
+      items.push({
+        title: it.title || "",
+        link: it.link || "",
+        contentSnippet: it.contentSnippet || it.summary || "",
+        content: it.content || "",
+        publishedAt,
+        source: s.name,
+        keywords
+      });
+    }
+    if (tooOld) metricInc("newsbot_rss_items_too_old_total", { source: s.name }, tooOld);
+    if (r.notModified) return items;
+    metricInc("newsbot_rss_items_fetched_total", { source: s.name }, items.length);
+    stmtSrcOk.run(now, items.length, items.length, s.id);
+    if (s.alerted) {
+      deliver("admin", `✅ Nguồn RSS <b>${escapeHtml(s.name)}</b> đã hoạt động lại (${items.length} tin).`, { chatId: CHAT_ID });
+    }
+    return items;
+  } catch (e) {
+    console.error(`[RSS] Fail ${s.name}:`, e.message);
+    metricInc("newsbot_rss_fetch_errors_total", { source: s.name });
+    stmtSrcFail.run(safeText(e.message, 300), Date.now(), s.id);
+    return [];
+  }
+}
 
-  const h4Closes = h4.map(x => x.close);
-  const ema50H4 = ema(h4Closes, 50).at(-1);
-  const h4Close = h4[h4.length - 1].close;
-  const h4Trend = h4Close > ema50H4 ? "up" : h4Close < ema50H4 ? "down" : "side";
+async function fetchAllRss({ scheduled = true } = {}) {
+  const perSource = await mapLimit(stmtSrcEnabled.all(), RSS_CONCURRENCY, s => fetchSource(s, scheduled));
+  checkSourceHealth();
+  return perSource.flat();
+}
 
-  const trendD =
-    dClose > ema50D ? "Uptrend" :
-    dClose < ema50D ? "Downtrend" : "Sideway";
+// Nguồn lỗi liên tục ≥ SOURCE_ALERT_HOURS → báo admin chat 1 lần (reset khi fetch lại được)
+function checkSourceHealth() {
+  const limitMs = SOURCE_ALERT_HOURS * 3600 * 1000;
+  for (const s of stmtSrcEnabled.all()) {
+    if (s.alerted || !s.failing_since || Date.now() - s.failing_since < limitMs) continue;
+    const hours = ((Date.now() - s.failing_since) / 3600000).toFixed(1);
+    deliver("admin",
+`⚠️ <b>Nguồn RSS lỗi kéo dài</b>
+🔹 Nguồn: <b>${escapeHtml(s.name)}</b>
+🔹 Lỗi liên tục: ${s.consecutive_failures} lần / ${hours}h
+🔹 Lỗi gần nhất: <code>${escapeHtml(s.last_error || "n/a")}</code>
+👉 Kiểm tra URL hoặc tạm dừng: /sources pause ${escapeHtml(s.name)}`,
+      { chatId: CHAT_ID });
+    stmtSrcAlerted.run(s.id);
+  }
+}
 
-  const momentum =
-    rsiD >= 60 ? "Động lượng tăng" :
-    rsiD <= 40 ? "Động lượng giảm" : "Trung tính";
+// ================= STORY CLUSTERING =================
+const STOPWORDS = new Set((
+  "a an the and or but of to in on for with at by from as is are was were be been has have had " +
+  "it its this that these those after before over into amid about says said new will could would " +
+  "may might up down than more most just how why what who when where you your our their his her"
+).split(" "));
+
+function storyTokens(text, limit = 40) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/<[^>]*>/g, " ")
+    .replace(/[^a-z0-9$%.]+/g, " ")
+    .split(" ")
+    .map(t => t.replace(/^\.+|\.+$/g, "").replace(/(?<=[a-z]{3})s$/, "")) // "etfs" → "etf"
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t))
+    .slice(0, limit);
+}
 
-  const { resist, support } = swingLevels(d1, 60);
+function storyFingerprint(it) {
+  const title = new Set(storyTokens(it.title, 30));
+  const body = new Set([...title, ...storyTokens(it.contentSnippet || it.content, 40)]);
+  return { title, body };
+}
 
-  const paScore = scorePriceAction({
-    close: dClose,
-    ema50: ema50D,
-    rsi14: rsiD,
-    atr14: atrD,
-    h4Trend
-  });
+function overlapCount(a, b) {
+  let n = 0;
+  for (const t of a) if (b.has(t)) n++;
+  return n;
+}
 
-  const ms = detectMarketState(d1, ema50D, atrD);
-  const nearSupport = support[0];
+// Tiêu đề ngắn & mỗi báo viết khác nhau → dùng overlap coefficient cho title (cần ≥3 từ chung),
+// kết hợp Jaccard trên title + snippet.
+function storySimilarity(a, b) {
+  const titleInter = overlapCount(a.title, b.title);
+  const titleScore = titleInter >= 3 ? titleInter / Math.min(a.title.size, b.title.size) : 0;
+  const bodyInter = overlapCount(a.body, b.body);
+  const bodyUnion = a.body.size + b.body.size - bodyInter;
+  const bodyScore = bodyUnion > 0 ? bodyInter / bodyUnion : 0;
+  return 0.7 * titleScore + 0.3 * bodyScore;
+}
 
-  return `❇️ ${symbol} – PHÂN TÍCH KỸ THUẬT 1D & H4 | ${dateStr}
+function recentFingerprints() {
+  return stmtClusterRecent.all(`-${STORY_LOOKBACK_HOURS} hours`).map(r => ({
+    title: new Set(r.title_tokens.split(" ").filter(Boolean)),
+    body: new Set(r.body_tokens.split(" ").filter(Boolean))
+  }));
+}
 
-❇️ Cấu trúc thị trường
-🔹 Xu hướng (1D)
-👉 ${trendD} | Giá: ${fmt(dClose)} | EMA20: ${fmt(ema20D)} | EMA50: ${fmt(ema50D)}
+// Gộp các tin cùng sự kiện: tin đứng trước (xếp hạng cao nhất) là tin chính, các tin còn lại vào `related`.
+// Tin trùng với cụm đã đăng trong STORY_LOOKBACK_HOURS bị bỏ qua.
+function clusterStories(items) {
+  const recent = recentFingerprints();
+  const clusters = [];
 
-🔹 Xác nhận (H4)
-👉 H4 ${h4Trend === "up" ? "đồng pha tăng" : h4Trend === "down" ? "đồng pha giảm" : "đi ngang"} | H4 Close: ${fmt(h4Close)} | EMA50(H4): ${fmt(ema50H4)}
+  for (const it of items) {
+    const fp = storyFingerprint(it);
+    if (recent.some(r => storySimilarity(fp, r) >= STORY_SIMILARITY)) continue;
 
-🔹 Động lượng
-👉 RSI(14) ~ ${Math.round(rsiD)} → ${momentum}
+    const match = clusters.find(c => storySimilarity(fp, c.fp) >= STORY_SIMILARITY);
+    if (match) {
+      match.item.related.push({ source: it.source, link: it.link, urlHash: it.urlHash });
+      continue;
+    }
+    clusters.push({ fp, item: { ...it, fingerprint: fp, related: [] } });
+  }
+  return clusters.map(c => c.item);
+}
 
-🔹 Chấm điểm Price Action
-👉 ${paScore.toFixed(1)}/10
+function pickCandidates(raw) {
+  const cfg = loadRelevanceRules();
+  const seen = new Set();
+  const out = [];
 
-🔹 Trạng thái thị trường
-👉 ${ms.state} – ${ms.note}
+  for (const it of raw) {
+    if (!it.link || seen.has(it.link)) continue;
+    seen.add(it.link);
 
-❇️ Vùng giá quan trọng
-🔹 Kháng cự (2 tầng)
-👉 ${fmt(resist[0])}
-👉 ${fmt(resist[1])}
+    const h = sha1(it.link);
+    if (stmtHas.get(h)) continue;
 
-🔹 Hỗ trợ (2 tầng)
-👉 ${fmt(support[0])}
-👉 ${fmt(support[1])}
+    const content = it.contentSnippet || it.content;
+    const { score, tags } = scoreRelevance(it.title, content, cfg);
+    // Khớp keyword riêng của nguồn → đủ điều kiện dù điểm chung chưa tới minScore
+    const ownMatch = it.keywords?.some(k => termRegex(k).test(`${it.title} ${content}`));
+    if (score < cfg.minScore && !ownMatch) continue;
 
-❇️ Biến động dự kiến
-🔹 ATR(14)
-👉 ~ ${fmt(atrD)} điểm/ngày (ước lượng)
+    out.push({ ...it, urlHash: h, score: ownMatch ? Math.max(score, cfg.minScore) : score, tags });
+  }
 
-📊 KỊCH BẢN THAM KHẢO
-🔵 LONG – Theo vùng cầu
-🔹 Điều kiện
-👉 Giữ vững vùng ${fmt(nearSupport)} và có nến xác nhận
+  // Xếp theo điểm × độ mới; clusterStories giữ tin đứng đầu cụm làm tin chính
+  out.sort((a, b) => rankScore(b, cfg) - rankScore(a, cfg));
+  return clusterStories(out).slice(0, MAX_ITEMS * 2);
+}
 
-🔴 SHORT – Khi phá vỡ hỗ trợ
-🔹 Điều kiện
-👉 Thủng ${fmt(nearSupport)} và retest thất bại
+// Tóm tắt trích xuất từ nội dung đầy đủ (content HTML), feed chỉ có snippet thì tóm từ snippet.
+// Gán it.summary trước translateItems để bản dịch dùng đúng đoạn tóm tắt.
+function summarizeItems(items, maxSentences, maxChars) {
+  for (const it of items) {
+    const text = htmlToText(it.content) || htmlToText(it.contentSnippet);
+    it.summary = summarize(text, { title: it.title, maxSentences, maxChars });
+    it.summaryMaxChars = maxChars;
+  }
+}
 
-🔹 Lưu ý: Nội dung chỉ mang tính tham khảo, không phải lời khuyên đầu tư.`;
+// Sắc thái tin theo tiêu đề + tóm tắt (gọi sau summarizeItems): it.sentiment = { score, label, hits }
+function scoreItemsSentiment(items) {
+  for (const it of items) it.sentiment = scoreSentiment(it.title, it.summary || it.contentSnippet || "");
 }
 
-async function runTaJob() {
-  const d1 = await fetchKlines(TA_SYMBOL, "1d", 220);
-  const h4 = await fetchKlines(TA_SYMBOL, "4h", 220);
-  const post = buildDailyTA({ symbol: TA_SYMBOL, d1, h4 });
-  await sendTelegramMessage(post);
-  return { sent: true, symbol: TA_SYMBOL };
+// Tiêu đề/tóm tắt theo bản dịch sang ngôn ngữ đích của locale (it.tr[target]); không có bản dịch
+// (locale trùng NEWS_SOURCE_LANG hoặc tắt dịch) → giữ nguyên bản gốc
+function buildNewsItemBlock(it, L, label) {
+  const tr = it.tr?.[L.translateTo];
+  const titleShow = tr?.title || it.title;
+  // summary "" = nội dung chỉ nhắc lại tiêu đề → không hiện, không lùi về snippet gốc
+  const snippetShow = tr?.snippet || (it.summary ?? it.contentSnippet) || "";
+  // Bản dịch thường dài hơn bản gốc → nới giới hạn để không cắt giữa câu đã chọn
+  const maxChars = Math.round((it.summaryMaxChars || SUMMARY_MAX_CHARS) * 1.5);
+  const mark = tr?.untranslated ? ` <i>${L.news.untranslated}</i>` : "";
+  let block = `🔹 ${label}<b>${escapeHtml(safeText(titleShow, 140))}</b>${mark}\n`;
+  const related = it.related || [];
+  const sources = [...new Set([it.source, ...related.map(r => r.source)])];
+  block += `🔹 ${L.news.source}: ${escapeHtml(sources.join(", "))}\n`;
+  if (it.sentiment) block += `🔹 ${L.news.sentiment.label}: ${L.news.sentiment[it.sentiment.label]}\n`;
+  if (snippetShow) block += `🔹 ${L.news.summary}: ${escapeHtml(safeText(snippetShow, maxChars))}\n`;
+  if (it.tags?.length) block += `🔹 ${L.news.topics}: ${it.tags.map(t => `#${escapeHtml(t)}`).join(" ")}\n`;
+  block += `🔹 ${L.news.link}: ${escapeHtml(it.link)}`;
+  for (const r of related) block += `\n🔹 ${escapeHtml(r.source)}: ${escapeHtml(r.link)}`;
+  return block;
 }
 
-// =========================================================
-// ====== INTERMARKET (BTC–VÀNG + BUY/SELL FLOW + FEES) ======
-// =========================================================
-const BINANCE_BASE = "https://api.binance.com";
+// Trả về mảng tin (đã escape, tự chia phần nếu vượt giới hạn Telegram).
+function buildNewsPost(items, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  return renderPost({
+    header: L.news.digestHeader(L.f.date()),
+    blocks: items.map((it, i) => buildNewsItemBlock(it, L, `${i + 1}) `)),
+    footer: L.news.disclaimer,
+    partLabel: L.common.part
+  });
+}
 
-async function fetchSpotKlinesRaw(symbol, interval, limit = 12) {
-  const url = new URL(`${BINANCE_BASE}/api/v3/klines`);
-  url.searchParams.set("symbol", symbol);
-  url.searchParams.set("interval", interval);
-  url.searchParams.set("limit", String(limit));
-  return await getJson(url.toString());
+function buildBreakingPost(it, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  return renderPost({
+    header: L.news.breakingHeader(L.f.dateTime()),
+    blocks: [buildNewsItemBlock(it, L, "")],
+    footer: L.news.disclaimer,
+    partLabel: L.common.part
+  });
 }
 
-async function getSpotH4Summary(symbol) {
-  const klines = await fetchSpotKlinesRaw(symbol, "1h", 12);
-  if (!Array.isArray(klines) || klines.length < 4) throw new Error(`Insufficient klines for ${symbol}`);
+// Dịch tiêu đề + tóm tắt sang ngôn ngữ đích của từng locale trong `langs` (song song, giới hạn
+// TRANSLATE_CONCURRENCY, có cache SQLite). Kết quả: it.tr[target] = { title, snippet, untranslated }
+async function translateItems(items, langs) {
+  if (TRANSLATE_PROVIDER === "none") return; // tắt dịch → hiển thị bản gốc, không đánh dấu
+  const targets = [...new Set(langs.map(l => locale(l).translateTo))].filter(t => t !== NEWS_SOURCE_LANG);
+  const jobs = targets.flatMap(target => items.flatMap(it => [
+    { it, target, field: "title", text: it.title },
+    { it, target, field: "snippet", text: it.summary ?? it.contentSnippet ?? "" }
+  ]));
+  const results = await mapLimit(jobs, TRANSLATE_CONCURRENCY, job => translateText(job.text, job.target));
+
+  jobs.forEach((job, i) => {
+    const tr = ((job.it.tr ??= {})[job.target] ??= {});
+    tr[job.field] = results[i].text;
+    if (!results[i].ok) tr.untranslated = true;
+  });
+}
 
-  const last4 = klines.slice(-4);
-  const closes = last4.map(k => toNum(k[4])).filter(Number.isFinite);
-  const vols = last4.map(k => toNum(k[7])).filter(Number.isFinite); // quote volume (USDT)
+// Đánh dấu "posted" cho tin chính + các link trùng trong cụm, lưu fingerprint cụm.
+// Gọi bên trong transaction cùng với deliver().
+function recordPosted(items) {
+  for (const it of items) {
+    const tags = it.tags.join(",");
+    const sentiment = it.sentiment?.score ?? null;
+    try { stmtIns.run(it.urlHash, it.link, it.title, it.source, it.publishedAt || "", it.score, tags, sentiment); } catch {}
+    for (const r of it.related || []) {
+      try { stmtIns.run(r.urlHash, r.link, it.title, r.source, it.publishedAt || "", it.score, tags, sentiment); } catch {}
+    }
+    stmtClusterIns.run(
+      it.urlHash,
+      [...it.fingerprint.title].join(" "),
+      [...it.fingerprint.body].join(" "),
+      JSON.stringify([{ source: it.source, link: it.link }, ...it.related.map(r => ({ source: r.source, link: r.link }))])
+    );
+  }
+}
 
-  const closeNow = closes[closes.length - 1];
+// opts.chatId (bot command): chỉ gửi cho chat yêu cầu và không đánh dấu "posted",
+// để bản tin định kỳ của các chat đăng ký vẫn nhận đủ tin. Bot command không đi fast path tin nóng.
+async function runNewsJob(opts = {}) {
+  const targets = opts.preview ? [{ lang: opts.lang || DEFAULT_LANG }]
+    : opts.chatId ? [getSubscriber(opts.chatId)] : subscribersFor("news");
+  if (targets.length === 0) return { sent: false, reason: "no_subscribers" };
+  const langs = [...new Set(targets.map(sub => sub.lang))];
+
+  const raw = await fetchAllRss({ scheduled: !opts.chatId && !opts.preview });
+  const candidates = pickCandidates(raw);
+  if (candidates.length === 0) return { sent: false, reason: "no_candidates" };
+
+  // Fast path: tin nóng gửi riêng ngay lập tức, không chờ đủ MIN_ITEMS
+  const breaking = opts.chatId ? [] : candidates.filter(it => isBreaking(it)).slice(0, BREAKING_MAX_PER_RUN);
+  for (const it of breaking) {
+    summarizeItems([it], BREAKING_SUMMARY_SENTENCES, BREAKING_SUMMARY_MAX_CHARS);
+    scoreItemsSentiment([it]);
+    await translateItems([it], langs);
+    const posts = {};
+    const render = sub => (posts[sub.lang] ??= buildBreakingPost(it, sub.lang));
+    if (opts.preview) {
+      deliver("news", render, opts);
+      continue;
+    }
+    db.transaction(() => {
+      deliver("news", render, { pin: BREAKING_PIN });
+      recordPosted([it]);
+    })();
+    console.log("[NEWS] Breaking:", it.title);
+  }
+  if (breaking.length && !opts.preview) recordSentimentIndex();
+
+  const picked = candidates.filter(it => !breaking.includes(it)).slice(0, MAX_ITEMS);
+  if (picked.length < MIN_ITEMS) {
+    return { sent: breaking.length > 0, breaking: breaking.length, reason: "not_enough_relevant", count: picked.length };
+  }
+
+  summarizeItems(picked, SUMMARY_SENTENCES, SUMMARY_MAX_CHARS);
+  scoreItemsSentiment(picked);
+  await translateItems(picked, langs);
+
+  const posts = {};
+  const render = sub => (posts[sub.lang] ??= buildNewsPost(picked, sub.lang));
+  // Theo yêu cầu (lệnh /news) hoặc preview: không đánh dấu "posted" để bản tin định kỳ vẫn đủ tin
+  if (opts.chatId || opts.preview) {
+    const queued = deliver("news", render, opts);
+    return { sent: true, count: picked.length, breaking: breaking.length, queued };
+  }
+
+  // Xếp hàng bản tin + đánh dấu "posted" trong cùng 1 transaction
+  const queued = db.transaction(() => {
+    const n = deliver("news", render, opts);
+    recordPosted(picked);
+    return n;
+  })();
+  recordSentimentIndex();
+
+  return { sent: true, count: picked.length, breaking: breaking.length, queued };
+}
+
+// ================= NEWS SENTIMENT INDEX =================
+// Chỉ số tâm lý tin -100..+100 từ sắc thái các tin đã đăng trong SENTIMENT_WINDOW_HOURS,
+// chụp lại sau mỗi lần đăng tin; bài intermarket đọc bản chụp mới nhất.
+db.exec(`
+  CREATE TABLE IF NOT EXISTS news_sentiment (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    idx INTEGER NOT NULL,
+    n INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_news_sentiment_ts ON news_sentiment(ts);
+`);
+// 1 cụm tin = 1 phiếu (các link trùng trong cụm cùng title)
+const stmtSentimentPosted = db.prepare(`
+  SELECT title, MAX(sentiment) AS sentiment, MAX(created_at) AS created_at FROM posted
+  WHERE created_at >= datetime(?, 'unixepoch') AND sentiment IS NOT NULL GROUP BY title
+`);
+const stmtSentimentIns = db.prepare("INSERT INTO news_sentiment(ts, idx, n) VALUES (?,?,?)");
+const stmtSentimentLatest = db.prepare("SELECT * FROM news_sentiment WHERE ts >= ? ORDER BY ts DESC LIMIT 1");
+
+function recordSentimentIndex(now = Date.now()) {
+  const rows = stmtSentimentPosted.all(Math.floor((now - SENTIMENT_WINDOW_HOURS * 3600000) / 1000))
+    .map(r => ({ score: r.sentiment, ts: Date.parse(`${r.created_at.replace(" ", "T")}Z`) }));
+  const idx = sentimentIndex(rows, { now, halfLifeHours: SENTIMENT_HALF_LIFE_HOURS, minItems: SENTIMENT_MIN_ITEMS });
+  if (idx !== null) stmtSentimentIns.run(now, idx, rows.length);
+  return idx;
+}
+
+function latestSentimentIndex(now = Date.now()) {
+  return stmtSentimentLatest.get(now - SENTIMENT_WINDOW_HOURS * 3600000) || null;
+}
+
+// =========================================================
+// ===================== MARKET DATA =======================
+// =========================================================
+// Mỗi adapter nhận symbol đã map sang định dạng của sàn và trả dữ liệu chuẩn hóa:
+//   klines(sym, interval, limit) → [{ time, open, high, low, close, volume, quoteVolume }] (cũ → mới)
+//   takerFlow(sym, limit)        → [{ time, buyQuote, totalQuote }] theo nến 1h (cũ → mới)
+//   openInterest(sym)            → OI hợp đồng perp (đơn vị coin)
+//   funding(sym)                 → funding rate dự kiến kỳ tới (%)
+//   markPrice(sym)               → mark price perp
+//   openInterestHist(sym, limit) → [{ time, value }] OI (coin) theo giờ (cũ → mới)
+//   fundingHistory(sym, limit)   → [{ time, value }] funding đã chốt (%) (cũ → mới)
+//   longShortRatio(sym, limit)   → [{ time, value }] tỉ lệ long/short top trader theo giờ (cũ → mới);
+//                                  sàn chỉ có tỉ lệ theo mọi tài khoản (Bybit) thì không cài
+// Method không hỗ trợ thì bỏ trống → marketCall tự chuyển sang provider kế tiếp.
+const QUOTE_ASSETS = ["USDT", "USDC", "FDUSD", "USD", "BTC", "ETH"];
+
+function splitSymbol(symbol) {
+  const quote = QUOTE_ASSETS.find(q => symbol.endsWith(q) && symbol.length > q.length);
+  return quote ? [symbol.slice(0, -quote.length), quote] : [symbol, ""];
+}
+
+function unsupportedInterval(name, interval) {
+  return new Error(`${name} không hỗ trợ khung ${interval}`);
+}
+
+const BYBIT_INTERVALS = { "1m": "1", "3m": "3", "5m": "5", "15m": "15", "30m": "30", "1h": "60", "2h": "120", "4h": "240", "6h": "360", "12h": "720", "1d": "D", "1w": "W" };
+const OKX_INTERVALS = { "1m": "1m", "3m": "3m", "5m": "5m", "15m": "15m", "30m": "30m", "1h": "1H", "2h": "2H", "4h": "4H", "6h": "6Hutc", "12h": "12Hutc", "1d": "1Dutc", "3d": "3Dutc", "1w": "1Wutc" };
+const COINBASE_GRANULARITY = { "1m": 60, "5m": 300, "15m": 900, "1h": 3600, "6h": 21600, "1d": 86400 };
+
+async function bybitGet(path, params) {
+  const url = new URL(`https://api.bybit.com${path}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
+  const j = await getJson(url.toString());
+  if (j?.retCode !== 0) throw new Error(`Bybit ${j?.retCode}: ${j?.retMsg}`);
+  return j.result;
+}
+
+async function okxGet(path, params) {
+  const url = new URL(`https://www.okx.com${path}`);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
+  const j = await getJson(url.toString());
+  if (j?.code !== "0") throw new Error(`OKX ${j?.code}: ${j?.msg}`);
+  return j.data;
+}
+
+const MARKET_ADAPTERS = {
+  binance: {
+    name: "Binance",
+    symbol: (s) => s,
+    async klines(sym, interval, limit) {
+      const url = `https://api.binance.com/api/v3/klines?symbol=${sym}&interval=${interval}&limit=${limit}`;
+      const data = await getJson(url);
+      return data.map(k => ({
+        time: k[0],
+        open: Number(k[1]),
+        high: Number(k[2]),
+        low: Number(k[3]),
+        close: Number(k[4]),
+        volume: Number(k[5]),
+        quoteVolume: Number(k[7])
+      }));
+    },
+    async takerFlow(sym, limit) {
+      // kline fields: [7] quote asset volume (USDT), [10] taker buy quote asset volume (USDT)
+      const data = await getJson(`https://api.binance.com/api/v3/klines?symbol=${sym}&interval=1h&limit=${limit}`);
+      return data.map(k => ({ time: k[0], buyQuote: Number(k[10]) || 0, totalQuote: Number(k[7]) || 0 }));
+    },
+    async openInterest(sym) {
+      const j = await getJson(`https://fapi.binance.com/fapi/v1/openInterest?symbol=${sym}`);
+      return toNum(j?.openInterest);
+    },
+    async funding(sym) {
+      const j = await getJson(`https://fapi.binance.com/fapi/v1/premiumIndex?symbol=${sym}`);
+      const r = toNum(j?.lastFundingRate);
+      return Number.isFinite(r) ? r * 100 : null;
+    },
+    async markPrice(sym) {
+      const j = await getJson(`https://fapi.binance.com/fapi/v1/premiumIndex?symbol=${sym}`);
+      return toNum(j?.markPrice);
+    },
+    async openInterestHist(sym, limit) {
+      const data = await getJson(`https://fapi.binance.com/futures/data/openInterestHist?symbol=${sym}&period=1h&limit=${limit}`);
+      return data.map(x => ({ time: Number(x.timestamp), value: Number(x.sumOpenInterest) }));
+    },
+    async fundingHistory(sym, limit) {
+      const data = await getJson(`https://fapi.binance.com/fapi/v1/fundingRate?symbol=${sym}&limit=${limit}`);
+      return data.map(x => ({ time: Number(x.fundingTime), value: Number(x.fundingRate) * 100 }));
+    },
+    async longShortRatio(sym, limit) {
+      // Top trader theo vị thế (position), không phải theo số tài khoản
+      const data = await getJson(`https://fapi.binance.com/futures/data/topLongShortPositionRatio?symbol=${sym}&period=1h&limit=${limit}`);
+      return data.map(x => ({ time: Number(x.timestamp), value: Number(x.longShortRatio) }));
+    }
+  },
+
+  bybit: {
+    name: "Bybit",
+    symbol: (s) => s,
+    async klines(sym, interval, limit) {
+      if (!BYBIT_INTERVALS[interval]) throw unsupportedInterval("Bybit", interval);
+      const r = await bybitGet("/v5/market/kline", { category: "spot", symbol: sym, interval: BYBIT_INTERVALS[interval], limit });
+      // [start, open, high, low, close, volume, turnover], mới → cũ
+      return r.list.map(k => ({
+        time: Number(k[0]),
+        open: Number(k[1]),
+        high: Number(k[2]),
+        low: Number(k[3]),
+        close: Number(k[4]),
+        volume: Number(k[5]),
+        quoteVolume: Number(k[6])
+      })).reverse();
+    },
+    async openInterest(sym) {
+      const r = await bybitGet("/v5/market/open-interest", { category: "linear", symbol: sym, intervalTime: "5min", limit: 1 });
+      return toNum(r.list?.[0]?.openInterest);
+    },
+    async funding(sym) {
+      const r = await bybitGet("/v5/market/tickers", { category: "linear", symbol: sym });
+      const f = toNum(r.list?.[0]?.fundingRate);
+      return Number.isFinite(f) ? f * 100 : null;
+    },
+    async markPrice(sym) {
+      const r = await bybitGet("/v5/market/tickers", { category: "linear", symbol: sym });
+      return toNum(r.list?.[0]?.markPrice);
+    },
+    async openInterestHist(sym, limit) {
+      const r = await bybitGet("/v5/market/open-interest", { category: "linear", symbol: sym, intervalTime: "1h", limit });
+      return r.list.map(x => ({ time: Number(x.timestamp), value: Number(x.openInterest) })).reverse();
+    },
+    async fundingHistory(sym, limit) {
+      const r = await bybitGet("/v5/market/funding/history", { category: "linear", symbol: sym, limit });
+      return r.list.map(x => ({ time: Number(x.fundingRateTimestamp), value: Number(x.fundingRate) * 100 })).reverse();
+    }
+  },
+
+  okx: {
+    name: "OKX",
+    symbol: (s, kind) => {
+      const [base, quote] = splitSymbol(s);
+      return kind === "perp" ? `${base}-${quote}-SWAP` : `${base}-${quote}`;
+    },
+    async klines(sym, interval, limit) {
+      if (!OKX_INTERVALS[interval]) throw unsupportedInterval("OKX", interval);
+      const data = await okxGet("/api/v5/market/candles", { instId: sym, bar: OKX_INTERVALS[interval], limit: Math.min(limit, 300) });
+      // [ts, o, h, l, c, vol, volCcy, volCcyQuote, confirm], mới → cũ
+      return data.map(k => ({
+        time: Number(k[0]),
+        open: Number(k[1]),
+        high: Number(k[2]),
+        low: Number(k[3]),
+        close: Number(k[4]),
+        volume: Number(k[5]),
+        quoteVolume: Number(k[7])
+      })).reverse();
+    },
+    async takerFlow(sym, limit) {
+      // Rubik chỉ trả tỉ lệ mua/bán theo coin → quy ra quote bằng volume nến 1H cùng giờ
+      const [candles, taker] = await Promise.all([
+        this.klines(sym, "1h", limit),
+        okxGet("/api/v5/rubik/stat/taker-volume", { ccy: sym.split("-")[0], instType: "SPOT", period: "1H" })
+      ]);
+      const byTs = new Map(taker.map(([ts, sell, buy]) => [Number(ts), { sell: Number(sell), buy: Number(buy) }]));
+      // Giờ mà Rubik chưa cập nhật thì bỏ qua
+      return candles.filter(c => byTs.get(c.time)?.buy + byTs.get(c.time)?.sell > 0).map(c => {
+        const t = byTs.get(c.time);
+        const share = t.buy / (t.buy + t.sell);
+        return { time: c.time, buyQuote: c.quoteVolume * share, totalQuote: c.quoteVolume };
+      });
+    },
+    async openInterest(sym) {
+      const data = await okxGet("/api/v5/public/open-interest", { instType: "SWAP", instId: sym });
+      return toNum(data?.[0]?.oiCcy);
+    },
+    async funding(sym) {
+      const data = await okxGet("/api/v5/public/funding-rate", { instId: sym });
+      const f = toNum(data?.[0]?.fundingRate);
+      return Number.isFinite(f) ? f * 100 : null;
+    },
+    async markPrice(sym) {
+      const data = await okxGet("/api/v5/public/mark-price", { instType: "SWAP", instId: sym });
+      return toNum(data?.[0]?.markPx);
+    },
+    async openInterestHist(sym, limit) {
+      // [ts, oi (hợp đồng), oiCcy (coin), oiUsd], mới → cũ
+      const data = await okxGet("/api/v5/rubik/stat/contracts/open-interest-history", { instId: sym, period: "1H", limit });
+      return data.map(k => ({ time: Number(k[0]), value: Number(k[2]) })).reverse();
+    },
+    async fundingHistory(sym, limit) {
+      const data = await okxGet("/api/v5/public/funding-rate-history", { instId: sym, limit });
+      return data.map(x => ({ time: Number(x.fundingTime), value: Number(x.realizedRate ?? x.fundingRate) * 100 })).reverse();
+    },
+    async longShortRatio(sym, limit) {
+      const data = await okxGet("/api/v5/rubik/stat/contracts/long-short-position-ratio-contract-top-trader", { instId: sym, period: "1H", limit });
+      return data.map(k => ({ time: Number(k[0]), value: Number(k[1]) })).reverse();
+    }
+  },
+
+  coinbase: {
+    name: "Coinbase",
+    symbol: (s) => {
+      const [base, quote] = splitSymbol(s);
+      return `${base}-${quote === "USDT" ? "USD" : quote}`;
+    },
+    async klines(sym, interval, limit) {
+      const granularity = COINBASE_GRANULARITY[interval];
+      if (!granularity) throw unsupportedInterval("Coinbase", interval);
+      const data = await getJson(`https://api.exchange.coinbase.com/products/${sym}/candles?granularity=${granularity}`);
+      // [time(s), low, high, open, close, volume], mới → cũ, tối đa 300 nến
+      return data.slice(0, limit).map(k => ({
+        time: k[0] * 1000,
+        open: Number(k[3]),
+        high: Number(k[2]),
+        low: Number(k[1]),
+        close: Number(k[4]),
+        volume: Number(k[5]),
+        quoteVolume: Number(k[5]) * Number(k[4])
+      })).reverse();
+    }
+  }
+};
+
+// "okx:PAXGUSDT=PAXG-USDT,coinbase:PAXGUSDT=PAXG-USD" → { okx: { PAXGUSDT: "PAXG-USDT" }, ... }
+const SYMBOL_OVERRIDES = {};
+for (const entry of MARKET_SYMBOL_MAP.split(",").map(s => s.trim()).filter(Boolean)) {
+  const m = /^(\w+):([A-Z0-9]+)=(\S+)$/i.exec(entry);
+  if (!m) { console.error(`[MARKET] Bỏ qua MARKET_SYMBOL_MAP sai cú pháp: ${entry}`); continue; }
+  const id = m[1].toLowerCase();
+  (SYMBOL_OVERRIDES[id] ||= {})[m[2].toUpperCase()] = m[3];
+}
+
+for (const id of MARKET_PROVIDERS) {
+  if (!MARKET_ADAPTERS[id]) console.error(`[MARKET] Provider không tồn tại trong MARKET_PROVIDERS: ${id}`);
+}
+
+// provider:method:symbol → thời điểm hết cooldown sau lỗi
+const marketDownUntil = new Map();
+
+// Gọi method theo chuỗi fallback; trả { data, provider } của provider đầu tiên thành công.
+// Provider vừa lỗi được xếp xuống cuối trong MARKET_COOLDOWN_MIN phút (vẫn thử nếu các provider khác đều lỗi).
+async function marketCall(method, symbol, kind, ...args) {
+  const now = Date.now();
+  const chain = MARKET_PROVIDERS.filter(id => MARKET_ADAPTERS[id]?.[method]);
+  const ready = chain.filter(id => (marketDownUntil.get(`${id}:${method}:${symbol}`) || 0) <= now);
+  const order = [...ready, ...chain.filter(id => !ready.includes(id))];
+  if (!order.length) throw new Error(`Không có provider hỗ trợ ${method}`);
+
+  const errors = [];
+  for (const id of order) {
+    const adapter = MARKET_ADAPTERS[id];
+    const sym = SYMBOL_OVERRIDES[id]?.[symbol] || adapter.symbol(symbol, kind);
+    try {
+      const data = await adapter[method](sym, ...args);
+      if (Array.isArray(data) ? data.length === 0 : !Number.isFinite(data)) throw new Error("dữ liệu rỗng");
+      marketDownUntil.delete(`${id}:${method}:${symbol}`);
+      return { data, provider: adapter.name, id };
+    } catch (e) {
+      marketDownUntil.set(`${id}:${method}:${symbol}`, now + MARKET_COOLDOWN_MIN * 60000);
+      metricInc("newsbot_market_fallbacks_total", { provider: id, method });
+      errors.push(`${adapter.name}: ${e.message.slice(0, 120)}`);
+    }
+  }
+  throw new Error(`${method} ${symbol} lỗi trên mọi provider – ${errors.join(" | ")}`);
+}
+
+// Gọi đúng 1 provider, không fallback – khi các số liệu phải cùng nguồn (vd OI hiện tại + lịch sử OI)
+async function marketCallOn(id, method, symbol, kind, ...args) {
+  const adapter = MARKET_ADAPTERS[id];
+  if (!adapter?.[method]) throw new Error(`${adapter?.name || id} không hỗ trợ ${method}`);
+  const sym = SYMBOL_OVERRIDES[id]?.[symbol] || adapter.symbol(symbol, kind);
+  const data = await adapter[method](sym, ...args);
+  if (Array.isArray(data) ? data.length === 0 : !Number.isFinite(data)) throw new Error(`${adapter.name}: dữ liệu rỗng`);
+  return { data, provider: adapter.name, id };
+}
+
+async function fetchKlines(symbol, interval, limit = 200) {
+  const { data, provider } = await marketCall("klines", symbol, "spot", interval, limit);
+  return { candles: data, provider };
+}
+
+// "Binance" hoặc "Binance (giá, flow) · Bybit (OI)" khi dữ liệu đến từ nhiều sàn
+function describeSources(pairs) {
+  const byProvider = new Map();
+  for (const [what, provider] of pairs) {
+    if (!provider) continue;
+    if (!byProvider.has(provider)) byProvider.set(provider, []);
+    byProvider.get(provider).push(what);
+  }
+  if (byProvider.size <= 1) return [...byProvider.keys()][0] || "n/a";
+  return [...byProvider].map(([p, whats]) => `${p} (${whats.join(", ")})`).join(" · ");
+}
+
+// =========================================================
+// ===================== TA JOB (giữ nguyên) =================
+// =========================================================
+// Số liệu từ analyzeTA (runTaJob tính 1 lần, truyền vào cho mọi ngôn ngữ + chart);
+// câu chữ + định dạng số/ngày theo locale (locales/*.js → ta.post)
+function buildDailyTA({ symbol, d1, h4, analysis = analyzeTA({ d1, h4 }), source = "" }, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  const {
+    dClose, ema20D, ema50D, rsiD, atrD,
+    h4Close, ema50H4, h4Trend,
+    trendD, momentum, resist, support, paScore, ms, ind
+  } = analysis;
+
+  const state = L.ta.states[ms.state] || { label: ms.state, note: "" };
+  const scenarioZone = (z) => z && { range: zoneRange(z, L), low: z.low, strength: z.strength };
+
+  return renderSections(L.ta.post({
+    symbol: escapeHtml(symbol),
+    trend: L.ta.trend[trendD],
+    dClose, ema20D, ema50D, rsiD, atrD, h4Close, ema50H4, paScore,
+    h4: L.ta.h4[h4Trend],
+    momentum: L.ta.momentum[momentum],
+    state: escapeHtml(state.label),
+    note: escapeHtml(state.note),
+    indicators: L.ta.indicators(ind, dClose, L.f),
+    resist: resist.map(z => fmtZone(z, dClose, L)),
+    support: support.map(z => fmtZone(z, dClose, L)),
+    source: escapeHtml(source),
+    s1: scenarioZone(support[0]),
+    s2: scenarioZone(support[1]),
+    r1: scenarioZone(resist[0])
+  }, L.f), L.common.part);
+}
+
+function zoneRange(z, L) {
+  return z.low === z.high ? L.f.price(z.low) : `${L.f.price(z.low)} – ${L.f.price(z.high)}`;
+}
+
+// "70,100 – 70,800 | mạnh 8/10 | 4 lần chạm (1D+H4)"
+function fmtZone(z, close, L) {
+  const inside = z.low <= close && close <= z.high;
+  return L.ta.zone(zoneRange(z, L), z.strength, z.touches, z.tfs.join("+"), inside);
+}
+
+// Ảnh chart: 1D & H4 (nến + EMA20/50 + hỗ trợ/kháng cự) kèm panel RSI(14) mỗi khung
+function buildTAChart({ symbol, d1, h4, analysis = analyzeTA({ d1, h4 }), bars = 90 }) {
+  const { resist, support } = analysis;
+  const levels = [
+    ...resist.map((z, i) => ({ value: z.price, color: COLORS.resist, label: `R${i + 1}`, fit: true })),
+    ...support.map((z, i) => ({ value: z.price, color: COLORS.support, label: `S${i + 1}`, fit: true }))
+  ];
+
+  const tfPanels = (candles, tf, height, withLevels) => {
+    const closes = candles.map(x => x.close);
+    const tail = (arr) => arr.slice(-bars);
+    return [
+      {
+        height,
+        title: `${symbol} ${tf}`,
+        candles: tail(candles),
+        lines: [
+          { values: tail(ema(closes, 20)), color: COLORS.ema20, label: "EMA20" },
+          { values: tail(ema(closes, 50)), color: COLORS.ema50, label: "EMA50" }
+        ],
+        // Mức 1D chỉ mở rộng khung ở panel 1D; panel H4 vẽ nếu mức nằm trong khung
+        levels: withLevels ? levels : levels.map(l => ({ ...l, fit: false }))
+      },
+      {
+        height: 110,
+        title: `RSI14 ${tf}`,
+        lines: [{ values: tail(rsi(closes, 14)), color: COLORS.rsi, width: 2 }],
+        bands: [{ value: 70 }, { value: 30 }],
+        yMin: 0,
+        yMax: 100,
+        ticks: 2,
+        yFormat: (v) => v.toFixed(0)
+      }
+    ];
+  };
+
+  return renderChart({
+    width: 1000,
+    title: `${symbol} - TA 1D / H4`,
+    panels: [...tfPanels(d1, "1D", 380, true), ...tfPanels(h4, "H4", 300, false)]
+  });
+}
+
+// Bảng so sánh gọn cho cả watchlist (1 tin thay vì N tin dài)
+function buildTaWatchlistTable(rows, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  const W = L.ta.watchlist;
+  const pad = (v, n) => String(v).padEnd(n);
+
+  const header = `${pad(W.columns.symbol, 10)}${pad("1D", 6)}${pad("H4", 5)}${pad("RSI", 5)}${pad("PA", 5)}${W.columns.state}`;
+  const lines = rows.map(r => {
+    if (r.error) return `${pad(escapeHtml(r.symbol), 10)}${W.error}`;
+    const a = r.analysis;
+    const trend = a.trendD === "Uptrend" ? "Up" : a.trendD === "Downtrend" ? "Down" : "Side";
+    const h4 = a.h4Trend === "up" ? "↑" : a.h4Trend === "down" ? "↓" : "→";
+    const state = L.ta.states[a.ms.state]?.label || a.ms.state;
+    return `${pad(escapeHtml(r.symbol), 10)}${pad(trend, 6)}${pad(h4, 5)}${pad(Math.round(a.rsiD), 5)}${pad(a.paScore.toFixed(1), 5)}${escapeHtml(state)}`;
+  });
+
+  return renderSections(W.post(`${header}\n${lines.join("\n")}`, L.f), L.common.part);
+}
+
+// Lịch sử TA định kỳ (điểm PA, trạng thái) – nguồn dữ liệu cho recap ngày/tuần
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ta_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    close REAL,
+    pa_score REAL,
+    state TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_ta_snapshots_symbol_ts ON ta_snapshots(symbol, ts);
+`);
+const stmtTaSnapIns = db.prepare("INSERT INTO ta_snapshots(ts,symbol,close,pa_score,state) VALUES (?,?,?,?,?)");
+
+// opts.chatId (lệnh /ta) và preview không ghi lịch sử → recap chỉ phản ánh lịch TA định kỳ
+async function runTaJob(symbols = TA_SYMBOLS, opts = {}) {
+  if (!opts.chatId && !opts.preview && subscribersFor("ta").length === 0) return { sent: false, reason: "no_subscribers" };
+  const rows = [];
+
+  for (const symbol of symbols) {
+    try {
+      const { candles: d1, provider } = await fetchKlines(symbol, "1d", 220);
+      const { candles: h4, provider: h4Provider } = await fetchKlines(symbol, "4h", 220);
+      const source = describeSources([["1D", provider], ["H4", h4Provider]]);
+      const analysis = analyzeTA({ d1, h4 });
+      const posts = {};
+      const render = sub => (posts[sub.lang] ??= buildDailyTA({ symbol, d1, h4, analysis, source }, sub.lang));
+      let photo = null;
+      if (CHARTS) {
+        try { photo = buildTAChart({ symbol, d1, h4, analysis }); } catch (e) { console.error(`[TA] Chart fail ${symbol}:`, e.message); }
+      }
+      deliver("ta", render, { ...opts, photo });
+      if (!opts.chatId && !opts.preview) {
+        stmtTaSnapIns.run(Date.now(), symbol, analysis.dClose, analysis.paScore, analysis.ms.state);
+      }
+      rows.push({ symbol, analysis });
+    } catch (e) {
+      console.error(`[TA] Fail ${symbol}:`, e.message);
+      rows.push({ symbol, error: e.message });
+    }
+  }
+
+  if (rows.every(r => r.error)) throw new Error(`TA failed for all symbols: ${symbols.join(",")}`);
+
+  if (symbols.length > 1) {
+    const tables = {};
+    deliver("ta", sub => (tables[sub.lang] ??= buildTaWatchlistTable(rows, sub.lang)), opts);
+  }
+
+  return {
+    sent: true,
+    symbols: rows.filter(r => !r.error).map(r => r.symbol),
+    failed: rows.filter(r => r.error).map(r => r.symbol)
+  };
+}
+
+// =========================================================
+// ====== INTERMARKET (BTC–VÀNG + BUY/SELL FLOW + FEES) ======
+// =========================================================
+async function getSpotH4Summary(symbol) {
+  const { candles, provider } = await fetchKlines(symbol, "1h", 12);
+  if (candles.length < 4) throw new Error(`Insufficient klines for ${symbol}`);
+
+  const last4 = candles.slice(-4);
+  const closes = last4.map(k => k.close).filter(Number.isFinite);
+  const vols = last4.map(k => k.quoteVolume).filter(Number.isFinite); // quote volume (USDT)
+
+  const closeNow = closes[closes.length - 1];
   const closePrev = closes[0];
   const pct = (Number.isFinite(closeNow) && Number.isFinite(closePrev) && closePrev !== 0)
     ? (closeNow / closePrev - 1) * 100
     : null;
 
   const quoteVolH4 = vols.reduce((a, b) => a + b, 0);
-  return { closeNow, pctH4: pct, quoteVolH4 };
+  return { closeNow, pctH4: pct, quoteVolH4, provider };
 }
 
 async function getBuySellFlowH4(symbol) {
-  const klines = await fetchSpotKlinesRaw(symbol, "1h", 12);
-  if (!Array.isArray(klines) || klines.length < 4) throw new Error(`Insufficient klines for flow ${symbol}`);
+  const { data, provider } = await marketCall("takerFlow", symbol, "spot", 12);
+  if (data.length < 4) throw new Error(`Insufficient klines for flow ${symbol}`);
 
-  const last4 = klines.slice(-4);
-
-  // kline fields:
-  // [7] quote asset volume (USDT)
-  // [10] taker buy quote asset volume (USDT)
   let buyQuote = 0;
   let totalQuote = 0;
 
-  for (const k of last4) {
-    totalQuote += Number(k[7]) || 0;
-    buyQuote += Number(k[10]) || 0;
+  for (const k of data.slice(-4)) {
+    totalQuote += k.totalQuote;
+    buyQuote += k.buyQuote;
   }
 
   const sellQuote = Math.max(0, totalQuote - buyQuote);
   const delta = buyQuote - sellQuote;
   const buyPct = totalQuote > 0 ? (buyQuote / totalQuote) * 100 : null;
 
-  return { buyQuote, sellQuote, totalQuote, delta, buyPct };
+  return { buyQuote, sellQuote, totalQuote, delta, buyPct, provider };
 }
 
 async function getRange1D(symbol) {
-  const klines = await fetchSpotKlinesRaw(symbol, "1d", 3);
-  if (!Array.isArray(klines) || klines.length < 2) throw new Error(`Insufficient 1D klines for ${symbol}`);
+  const { candles, provider } = await fetchKlines(symbol, "1d", 3);
+  if (candles.length < 2) throw new Error(`Insufficient 1D klines for ${symbol}`);
 
-  const closed = klines[klines.length - 2]; // nến đã đóng
-  const high = toNum(closed[2]);
-  const low = toNum(closed[3]);
-  const close = toNum(closed[4]);
+  const closed = candles[candles.length - 2]; // nến đã đóng
+  const { high, low, close } = closed;
 
   const range = (Number.isFinite(high) && Number.isFinite(low)) ? (high - low) : null;
   const rangePct = (Number.isFinite(range) && Number.isFinite(close) && close !== 0)
     ? (range / close) * 100
     : null;
 
-  let state = "TRUNG BÌNH";
+  // Mã trạng thái (narrow|normal|wide); nhãn hiển thị theo locale (intermarket.rangeStates)
+  let state = "normal";
   if (Number.isFinite(rangePct)) {
-    if (rangePct < 2.0) state = "HẸP";
-    else if (rangePct > 4.0) state = "RỘNG";
+    if (rangePct < 2.0) state = "narrow";
+    else if (rangePct > 4.0) state = "wide";
   }
 
-  return { high, low, close, rangePct, state };
+  return { high, low, close, rangePct, state, provider };
 }
 
-// Optional Futures OI/Funding — bọc try/catch vì có thể bị hạn chế vùng
-async function getFuturesOI(symbol) {
-  const url = new URL("https://fapi.binance.com/fapi/v1/openInterest");
-  url.searchParams.set("symbol", symbol);
-  const j = await getJson(url.toString());
-  return toNum(j?.openInterest);
+// ===== Phái sinh (perp): OI, funding, long/short =====
+// Từng phần có thể bị chặn vùng / sàn thiếu endpoint → phần lỗi để null, không chặn cả bài
+async function optionalPerp(method, symbol, ...args) {
+  try {
+    return await marketCall(method, symbol, "perp", ...args);
+  } catch (e) {
+    console.error(`[DERIV] ${method}:`, e.message);
+    return null;
+  }
 }
-async function getFuturesFunding(symbol) {
-  const url = new URL("https://fapi.binance.com/fapi/v1/premiumIndex");
-  url.searchParams.set("symbol", symbol);
-  const j = await getJson(url.toString());
-  const r = toNum(j?.lastFundingRate);
-  return Number.isFinite(r) ? r * 100 : null; // %
+
+// OI hiện tại phải cùng sàn với lịch sử OI, nếu không ΔOI là so 2 sàn khác nhau (lệch hàng chục %).
+// Sàn của lịch sử không trả OI hiện tại → dùng điểm cuối của lịch sử.
+async function getOpenInterest(symbol) {
+  const hist = await optionalPerp("openInterestHist", symbol, 25);
+  if (!hist) return { oi: await optionalPerp("openInterest", symbol), hist: null };
+  try {
+    return { oi: await marketCallOn(hist.id, "openInterest", symbol, "perp"), hist };
+  } catch (e) {
+    console.error(`[DERIV] openInterest ${hist.provider}:`, e.message);
+    return { oi: null, hist };
+  }
+}
+
+// OI quy USD (coin × mark), ΔOI/Δgiá 4h–24h, xu hướng funding, L/S top trader + trạng thái vị thế (derivatives.js)
+async function getDerivatives(symbol) {
+  const [{ oi, hist: oiHist }, mark, funding, fundingHist, ls, price] = await Promise.all([
+    getOpenInterest(symbol),
+    optionalPerp("markPrice", symbol),
+    optionalPerp("funding", symbol),
+    optionalPerp("fundingHistory", symbol, DERIV_FUNDING_PERIODS),
+    optionalPerp("longShortRatio", symbol, 25),
+    fetchKlines(symbol, "1h", 25).catch(e => { console.error("[DERIV] klines:", e.message); return null; })
+  ]);
+  const d = analyzeDerivatives({
+    oi: oi?.data,
+    markPrice: mark?.data,
+    predictedFunding: funding?.data,
+    // Khác sàn thì bỏ lịch sử → không có ΔOI thay vì ΔOI ảo
+    oiHist: !oi || oi.id === oiHist?.id ? oiHist?.data : null,
+    fundingHist: fundingHist?.data,
+    lsHist: ls?.data,
+    priceHist: price?.candles.map(c => ({ time: c.time, value: c.close }))
+  }, { fundingPeriods: DERIV_FUNDING_PERIODS });
+  return {
+    ...d,
+    providers: { oi: oi?.provider ?? oiHist?.provider, funding: funding?.provider ?? fundingHist?.provider, ls: ls?.provider }
+  };
 }
 
 async function getMempoolFees() {
@@ -611,105 +2038,261 @@ async function getMempoolFees() {
   }
 }
 
-// ===== Language helpers =====
-function flowConclusion({ buyPct, delta }) {
-  if (!Number.isFinite(buyPct) || !Number.isFinite(delta)) return "Chưa đủ dữ liệu để kết luận dòng tiền.";
-  if (buyPct >= 58) return "Mua chủ động áp đảo → lực đẩy ngắn hạn tốt hơn.";
-  if (buyPct <= 42) return "Bán chủ động áp đảo → cẩn trọng áp lực xả ngắn hạn.";
-  if (Math.abs(delta) < 0.02 * (Math.abs(delta) + 1)) return "Buy/Sell cân bằng → chưa có phe áp đảo.";
-  return "Dòng tiền lệch nhẹ → cần thêm xác nhận từ giá & volume.";
+// ===== Snapshot history =====
+db.exec(`
+  CREATE TABLE IF NOT EXISTS intermarket_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ts INTEGER NOT NULL,
+    btc_price REAL,
+    btc_pct_h4 REAL,
+    btc_vol_h4 REAL,
+    gold_pct_h4 REAL,
+    gold_vol_h4 REAL,
+    silver_pct_h4 REAL,
+    buy_pct REAL,
+    delta REAL,
+    range_pct REAL,
+    oi REAL,
+    funding REAL,
+    fee_fastest REAL,
+    fee_half_hour REAL,
+    fee_hour REAL
+  );
+`);
+const stmtSnapIns = db.prepare(`
+  INSERT INTO intermarket_snapshots(ts,btc_price,btc_pct_h4,btc_vol_h4,gold_pct_h4,gold_vol_h4,silver_pct_h4,
+    buy_pct,delta,range_pct,oi,funding,fee_fastest,fee_half_hour,fee_hour)
+  VALUES (@ts,@btc_price,@btc_pct_h4,@btc_vol_h4,@gold_pct_h4,@gold_vol_h4,@silver_pct_h4,
+    @buy_pct,@delta,@range_pct,@oi,@funding,@fee_fastest,@fee_half_hour,@fee_hour)
+`);
+const stmtSnapRecent = db.prepare("SELECT * FROM intermarket_snapshots ORDER BY id DESC LIMIT ?");
+
+// Mới nhất trước: hist[0] là báo cáo trước đó
+function loadIntermarketHistory() {
+  return stmtSnapRecent.all(INTERMARKET_HISTORY);
 }
 
-function rangeConclusion(state) {
-  if (state === "HẸP") return "Biên độ 1D co hẹp → nén biến động, ưu tiên chờ breakout có volume xác nhận.";
-  if (state === "RỘNG") return "Biên độ 1D nở rộng → biến động mạnh, rủi ro quét tăng; ưu tiên kỷ luật SL.";
-  return "Biên độ 1D trung bình → quan sát phản ứng tại vùng giá quan trọng.";
+function saveIntermarketSnapshot({ btc, flow, gold, silver, range1d, fees, oiNow, fundingNow }) {
+  const num = (x) => (Number.isFinite(Number(x)) && x !== null ? Number(x) : null);
+  stmtSnapIns.run({
+    ts: Date.now(),
+    btc_price: num(btc.closeNow),
+    btc_pct_h4: num(btc.pctH4),
+    btc_vol_h4: num(btc.quoteVolH4),
+    gold_pct_h4: num(gold.pctH4),
+    gold_vol_h4: num(gold.quoteVolH4),
+    silver_pct_h4: num(silver?.pctH4),
+    buy_pct: num(flow.buyPct),
+    delta: num(flow.delta),
+    range_pct: num(range1d.rangePct),
+    oi: num(oiNow),
+    funding: num(fundingNow),
+    fee_fastest: num(fees.fastest),
+    fee_half_hour: num(fees.halfHour),
+    fee_hour: num(fees.hour)
+  });
 }
 
-function feeConclusion(fastestFee) {
-  if (!Number.isFinite(fastestFee)) return "Chưa có dữ liệu fee để kết luận.";
-  if (fastestFee < 15) {
-    return "Phí mạng thấp → mạng lưới rảnh, chưa có dòng tiền on-chain gấp; phù hợp trạng thái sideway.";
-  }
-  if (fastestFee <= 40) {
-    return "Phí mạng mức trung bình → chưa có áp lực giao dịch gấp (panic/fomo); thị trường thiên về quan sát.";
-  }
-  if (fastestFee <= 80) {
-    return "Phí mạng tăng cao → nhu cầu giao dịch on-chain gia tăng; cần theo dõi sát phản ứng giá & volume.";
+// Lấy chuỗi lịch sử của 1 cột; null nếu chưa đủ mẫu để dùng ngưỡng động
+function historySeries(hist, key, map = (v) => v) {
+  const values = (hist || []).map(h => h[key]).filter(v => v !== null && Number.isFinite(v)).map(map);
+  return values.length >= ADAPTIVE_MIN_SAMPLES ? values : null;
+}
+
+// Percentile rank 0..100 của x trong values
+function percentileRank(values, x) {
+  let below = 0;
+  let equal = 0;
+  for (const v of values) {
+    if (v < x) below++;
+    else if (v === x) equal++;
   }
-  return "Phí mạng rất cao → mạng lưới quá tải, thường đi kèm panic/fomo mạnh; rủi ro biến động lớn.";
+  return ((below + equal / 2) / values.length) * 100;
 }
 
-function liquidityShiftText({ btcPctH4, goldPctH4 }) {
-  const btcFlat = Number.isFinite(btcPctH4) ? Math.abs(btcPctH4) < 0.30 : false;
-  const goldStrong = Number.isFinite(goldPctH4) ? goldPctH4 > 0.50 : false;
+function zScore(values, x) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length);
+  return sd > 0 ? (x - mean) / sd : 0;
+}
 
-  if (btcFlat && goldStrong) {
-    return { shift: true, text: "BTC đi ngang trong khi vàng tăng mạnh → thanh khoản ngắn hạn có xu hướng dịch chuyển sang kim loại quý." };
+// ===== Language helpers =====
+// Câu kết luận lấy từ locale (L = locale(lang), nhánh intermarket.conclusions).
+// hist (tuỳ chọn): lịch sử snapshot → so với chính phân phối của chỉ số thay vì ngưỡng cố định
+function flowConclusion({ buyPct, delta }, hist, L) {
+  const C = L.intermarket.conclusions.flow;
+  if (!Number.isFinite(buyPct) || !Number.isFinite(delta)) return C.noData;
+
+  const series = historySeries(hist, "buy_pct");
+  if (series) {
+    const pr = percentileRank(series, buyPct);
+    if (pr >= 85) return C.histHigh(Math.round(pr));
+    if (pr <= 15) return C.histLow(Math.round(100 - pr));
+    if (pr >= 35 && pr <= 65) return C.histMedian;
+    return C.histMild;
   }
-  if (goldStrong) {
-    return { shift: true, text: "Vàng đang chạy mạnh → dòng tiền có xu hướng ưu tiên nơi có biên độ tốt hơn." };
+
+  if (buyPct >= 58) return C.buyDominant;
+  if (buyPct <= 42) return C.sellDominant;
+  if (Math.abs(delta) < 0.02 * (Math.abs(delta) + 1)) return C.balanced;
+  return C.mild;
+}
+
+// Tâm lý tin đặt cạnh flow: cùng chiều → nhận định theo tin; ngược chiều → cảnh báo phân kỳ
+function sentimentConclusion({ idx }, { buyPct }, L) {
+  const C = L.intermarket.conclusions.sentiment;
+  const label = idx >= 20 ? "bullish" : idx <= -20 ? "bearish" : "neutral";
+  if (label === "bearish" && buyPct >= 55) return C.absorbing;
+  if (label === "bullish" && buyPct <= 45) return C.sellTheNews;
+  return C[label];
+}
+
+// Trạng thái biên độ 1D (narrow|normal|wide) theo percentile lịch sử (fallback: ngưỡng 2%/4% của getRange1D)
+function classifyRange(rangePct, fallbackState, hist) {
+  const series = historySeries(hist, "range_pct");
+  if (!series || !Number.isFinite(rangePct)) return fallbackState;
+  const pr = percentileRank(series, rangePct);
+  if (pr <= 25) return "narrow";
+  if (pr >= 75) return "wide";
+  return "normal";
+}
+
+function rangeConclusion(state, L) {
+  const C = L.intermarket.conclusions.range;
+  return C[state] || C.normal;
+}
+
+function feeConclusion(fastestFee, hist, L) {
+  const C = L.intermarket.conclusions.fee;
+  if (!Number.isFinite(fastestFee)) return C.noData;
+
+  // level: 0 thấp, 1 trung bình, 2 cao, 3 rất cao
+  let level;
+  const series = historySeries(hist, "fee_fastest");
+  if (series) {
+    const pr = percentileRank(series, fastestFee);
+    level = pr < 25 ? 0 : pr < 60 ? 1 : pr < 90 ? 2 : 3;
+  } else {
+    level = fastestFee < 15 ? 0 : fastestFee <= 40 ? 1 : fastestFee <= 80 ? 2 : 3;
   }
-  return { shift: false, text: "Chưa thấy dấu hiệu rõ ràng về dịch chuyển thanh khoản sang vàng." };
+  return C.levels[level];
 }
 
-function buildIntermarketPost({ btc, flow, gold, silver, range1d, fees, oiNow, fundingNow }) {
-  const ts = nowVN();
-  const shift = liquidityShiftText({ btcPctH4: btc.pctH4, goldPctH4: gold.pctH4 });
+function liquidityShiftText({ btcPctH4, goldPctH4 }, hist, L) {
+  const C = L.intermarket.conclusions.shift;
+  let btcFlat = Number.isFinite(btcPctH4) ? Math.abs(btcPctH4) < 0.30 : false;
+  let goldStrong = Number.isFinite(goldPctH4) ? goldPctH4 > 0.50 : false;
+
+  // Ngưỡng động: BTC "đi ngang" = |biến động| thuộc 30% thấp nhất; vàng "mạnh" = z-score ≥ 1.5
+  const btcSeries = historySeries(hist, "btc_pct_h4", Math.abs);
+  if (btcSeries && Number.isFinite(btcPctH4)) btcFlat = percentileRank(btcSeries, Math.abs(btcPctH4)) <= 30;
+  const goldSeries = historySeries(hist, "gold_pct_h4");
+  if (goldSeries && Number.isFinite(goldPctH4)) goldStrong = goldPctH4 > 0 && zScore(goldSeries, goldPctH4) >= 1.5;
 
-  const oiLine = Number.isFinite(oiNow) ? `🔹 OI Futures: <b>${fmtMoney(oiNow)}</b>\n` : "";
-  const fundingLine = Number.isFinite(fundingNow) ? `🔹 Funding: <b>${fmtPct(fundingNow)}</b>\n` : "";
+  if (btcFlat && goldStrong) return { shift: true, btcFlat, text: C.both };
+  if (goldStrong) return { shift: true, btcFlat, text: C.gold };
+  return { shift: false, btcFlat, text: C.none };
+}
+
+// Block "So với báo cáo trước" – prev là snapshot liền trước (hàng trong intermarket_snapshots)
+function buildChangeBlock({ btc, flow, range1d, fees, oiNow, fundingNow }, prev, L) {
+  if (!prev) return "";
+  const { f } = L;
+  const T = L.intermarket.change;
+  const fin = (x) => x !== null && x !== undefined && Number.isFinite(Number(x));
+  const pctChange = (now, before) => (fin(now) && fin(before) && before !== 0 ? (now / before - 1) * 100 : null);
+  const pts = (now, before, digits = 1) => (fin(now) && fin(before) ? `${now - before >= 0 ? "+" : ""}${(now - before).toFixed(digits)}` : "n/a");
+
+  const lines = [
+    `🔹 ${T.price}: ${f.num(prev.btc_price)} → <b>${f.num(btc.closeNow)}</b> (${fmtPct(pctChange(btc.closeNow, prev.btc_price))})`,
+    `🔹 Buy%: ${fin(prev.buy_pct) ? prev.buy_pct.toFixed(1) : "n/a"}% → <b>${fin(flow.buyPct) ? flow.buyPct.toFixed(1) : "n/a"}%</b> (${pts(flow.buyPct, prev.buy_pct)} ${T.points})`,
+    `🔹 Range 1D: ${fin(prev.range_pct) ? prev.range_pct.toFixed(2) : "n/a"}% → <b>${fin(range1d.rangePct) ? range1d.rangePct.toFixed(2) : "n/a"}%</b>`
+  ];
+  if (fin(oiNow) && fin(prev.oi)) lines.push(`🔹 OI: <b>${fmtPct(pctChange(oiNow, prev.oi))}</b>`);
+  if (fin(fundingNow) && fin(prev.funding)) lines.push(`🔹 Funding: ${fmtPct(prev.funding, 4)} → <b>${fmtPct(fundingNow, 4)}</b>`);
+  if (fin(fees.fastest) && fin(prev.fee_fastest)) lines.push(`🔹 Fee fastest: ${prev.fee_fastest} → <b>${fees.fastest}</b> sat/vB`);
+
+  return `${T.header(f.dateTime(prev.ts))}\n${lines.join("\n")}\n\n`;
+}
 
-  const silverBlock = silver
-    ? `🔹 Bạc (Proxy) H4: <b>${fmtPct(silver.pctH4)}</b>\n`
+// hist: lịch sử snapshot (mới nhất trước, chưa gồm snapshot hiện tại).
+// providers: { price, flow, gold, oi, funding, ls } → dòng "Nguồn dữ liệu" với nhãn theo locale
+// deriv: getDerivatives() (null / sàn không trả gì → bỏ mục phái sinh)
+function buildIntermarketPost({ btc, flow, gold, silver, range1d, fees, oiNow, fundingNow, deriv, sentiment, hist = [], providers = {} }, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  const hasDeriv = deriv && (Number.isFinite(deriv.oiCoin) || Number.isFinite(deriv.predictedFunding) || deriv.funding || deriv.ls);
+  const shift = liquidityShiftText({ btcPctH4: btc.pctH4, goldPctH4: gold.pctH4 }, hist, L);
+  const feeFast = fees.fastest;
+  const sources = Object.keys(providers).length
+    ? describeSources(Object.entries(L.intermarket.sources).map(([k, label]) => [label, providers[k]]))
     : "";
 
+  return renderSections(L.intermarket.post({
+    btc, flow, gold, silver, range1d, fees,
+    sources: escapeHtml(sources),
+    goldSymbol: escapeHtml(GOLD_SYMBOL),
+    flowText: escapeHtml(flowConclusion(flow, hist, L)),
+    deriv: hasDeriv ? {
+      ...deriv,
+      base: escapeHtml(splitSymbol(BTC_SPOT_SYMBOL)[0]),
+      trend: deriv.funding ? L.intermarket.fundingTrend[deriv.funding.direction] : "",
+      text: escapeHtml(L.intermarket.conclusions.derivatives[deriv.state])
+    } : null,
+    newsSentiment: sentiment ? {
+      idx: sentiment.idx,
+      n: sentiment.n,
+      hours: SENTIMENT_WINDOW_HOURS,
+      text: escapeHtml(sentimentConclusion(sentiment, flow, L))
+    } : null,
+    shift: { ...shift, text: escapeHtml(shift.text) },
+    rangeState: escapeHtml(L.intermarket.rangeStates[range1d.state] || range1d.state),
+    rangeText: escapeHtml(rangeConclusion(range1d.state, L)),
+    feeText: escapeHtml(feeConclusion(Number.isFinite(feeFast) ? Number(feeFast) : NaN, hist, L)),
+    changeBlock: buildChangeBlock({ btc, flow, range1d, fees, oiNow, fundingNow }, hist[0], L)
+  }, L.f), L.common.part);
+}
+
+function buildFeesPost(fees, hist, lang = DEFAULT_LANG) {
+  const L = locale(lang);
   const feeFast = fees.fastest;
-  const feeHalf = fees.halfHour;
-  const feeHour = fees.hour;
-
-  return (
-`📊 <b>DÒNG TIỀN LIÊN THỊ TRƯỜNG | BTC – VÀNG</b>
-<i>${ts} | Khung: H4 (flow) · 1D (biên độ)</i>
-
-❇️ <b>BTC – Thông số kỹ thuật</b>
-🔹 Giá hiện tại: <b>${fmt(btc.closeNow)}</b>
-🔹 Biến động H4: <b>${fmtPct(btc.pctH4)}</b>
-🔹 Volume H4 (USDT): <b>${fmtMoney(btc.quoteVolH4)}</b>
-
-🔹 <b>Dòng tiền H4 (taker – USDT)</b>
-🔹 Buy: <b>${fmtMoney(flow.buyQuote)}</b> | Sell: <b>${fmtMoney(flow.sellQuote)}</b>
-🔹 Delta: <b>${fmtMoney(flow.delta)}</b> | Buy%: <b>${Number.isFinite(flow.buyPct) ? flow.buyPct.toFixed(1) + "%" : "n/a"}</b>
-${oiLine}${fundingLine}👉 Nhận định: ${flowConclusion(flow)}
-
-❇️ <b>Vàng (Proxy: ${GOLD_SYMBOL})</b>
-🔹 Biến động H4: <b>${fmtPct(gold.pctH4)}</b>
-🔹 Volume H4 (USDT): <b>${fmtMoney(gold.quoteVolH4)}</b>
-${silverBlock}👉 Nhận định: ${shift.text}
-
-🟡 <b>Góc nhìn dòng tiền lớn</b>
-🔹 Khi BTC đi ngang nhưng vàng chạy mạnh, thường phản ánh vị thế lớn ưu tiên narrative có biên độ tốt hơn → BTC có thể bị “bỏ qua” tạm thời.
-
-❇️ <b>Biên độ BTC (1D)</b>
-🔹 High/Low: <b>${fmt(range1d.high)}</b> / <b>${fmt(range1d.low)}</b>
-🔹 Range 1D: <b>${Number.isFinite(range1d.rangePct) ? range1d.rangePct.toFixed(2) + "%" : "n/a"}</b> | Trạng thái: <b>${range1d.state}</b>
-👉 Nhận định: ${rangeConclusion(range1d.state)}
-
-❇️ <b>Network Fee (mempool)</b>
-🔹 Fastest: <b>${feeFast ?? "n/a"}</b> sat/vB
-🔹 ~30m: <b>${feeHalf ?? "n/a"}</b> sat/vB
-🔹 ~60m: <b>${feeHour ?? "n/a"}</b> sat/vB
-👉 Kết luận: ${feeConclusion(Number.isFinite(feeFast) ? Number(feeFast) : NaN)}
-
-❇️ <b>Tổng kết</b>
-🔹 BTC: ${Number.isFinite(btc.pctH4) && Math.abs(btc.pctH4) < 0.30 ? "Sideway – chờ thanh khoản; ưu tiên quan sát." : "Có dao động H4; theo dõi xác nhận."}
-🔹 Vàng: ${shift.shift ? "Đang hút chú ý ngắn hạn → ưu tiên x nhỏ, quản trị rủi ro." : "Chưa hút thanh khoản rõ → ưu tiên chờ."}
-
-⚠️ <i>Nhận định mang tính tham khảo, không phải lời khuyên đầu tư.</i>`
-  );
+  return L.intermarket.feesPost({
+    fees,
+    feeText: escapeHtml(feeConclusion(Number.isFinite(feeFast) ? Number(feeFast) : NaN, hist, L))
+  }, L.f);
+}
+
+// Ảnh chart: hiệu suất BTC vs vàng (proxy) 7 ngày, quy về % so với nến đầu
+async function buildIntermarketChart() {
+  const [{ candles: btcK }, { candles: goldK }] = await Promise.all([
+    fetchKlines(BTC_SPOT_SYMBOL, "1h", 168),
+    fetchKlines(GOLD_SYMBOL, "1h", 168)
+  ]);
+  // Ghép 2 thị trường theo giờ mở nến, chỉ giữ mốc có ở cả hai: ghép theo thứ tự mảng thì 1 nến thiếu/thừa
+  // (PAXG ít thanh khoản, sàn bảo trì) làm 2 đường lệch nhau → phân kỳ giả
+  const goldByTime = new Map(goldK.map(x => [x.time, x.close]));
+  const common = btcK.filter(x => goldByTime.has(x.time));
+  if (common.length < 2) throw new Error("BTC và vàng không đủ nến chung để vẽ");
+  const norm = (closes) => closes.map(c => (c / closes[0] - 1) * 100);
+
+  return renderChart({
+    width: 1000,
+    title: `${BTC_SPOT_SYMBOL} VS ${GOLD_SYMBOL} - 7D (1H)`,
+    panels: [{
+      height: 460,
+      title: "HIEU SUAT %",
+      lines: [
+        { values: norm(common.map(x => x.close)), color: COLORS.btc, label: BTC_SPOT_SYMBOL },
+        { values: norm(common.map(x => goldByTime.get(x.time))), color: COLORS.gold, label: GOLD_SYMBOL }
+      ],
+      bands: [{ value: 0 }],
+      yFormat: (v) => `${v >= 0 ? "+" : ""}${v.toFixed(1)}%`
+    }]
+  });
 }
 
-async function runIntermarketH4() {
+async function runIntermarketH4(opts = {}) {
+  if (!opts.chatId && !opts.preview && subscribersFor("intermarket").length === 0) return { sent: false, reason: "no_subscribers" };
+
   const btc = await getSpotH4Summary(BTC_SPOT_SYMBOL);
   const flow = await getBuySellFlowH4(BTC_SPOT_SYMBOL);
   const range1d = await getRange1D(BTC_SPOT_SYMBOL);
@@ -721,57 +2304,1058 @@ async function runIntermarketH4() {
     try { silver = await getSpotH4Summary(SILVER_SYMBOL); } catch { silver = null; }
   }
 
-  let oiNow = null;
-  let fundingNow = null;
-  try { oiNow = await getFuturesOI(BTC_SPOT_SYMBOL); } catch {}
-  try { fundingNow = await getFuturesFunding(BTC_SPOT_SYMBOL); } catch {}
+  // Snapshot giữ OI theo coin + funding dự kiến như trước (so sánh với báo cáo cũ vẫn đúng đơn vị)
+  const deriv = await getDerivatives(BTC_SPOT_SYMBOL);
+  const oiNow = deriv.oiCoin;
+  const fundingNow = deriv.predictedFunding ?? deriv.funding?.last ?? null;
 
   const fees = await getMempoolFees();
 
-  const post = buildIntermarketPost({ btc, flow, gold, silver, range1d, fees, oiNow, fundingNow });
-  await sendTelegramMessage(post);
+  const hist = loadIntermarketHistory();
+  range1d.state = classifyRange(range1d.rangePct, range1d.state, hist);
+
+  const snapshot = { btc, flow, gold, silver, range1d, fees, oiNow, fundingNow };
+  const sentiment = latestSentimentIndex();
+  const providers = {
+    price: btc.provider, flow: flow.provider, gold: gold.provider,
+    oi: deriv.providers.oi, funding: deriv.providers.funding, ls: deriv.providers.ls
+  };
+  const posts = {};
+  const render = sub => (posts[sub.lang] ??= buildIntermarketPost({ ...snapshot, deriv, sentiment, hist, providers }, sub.lang));
+  let photo = null;
+  if (CHARTS) {
+    try { photo = await buildIntermarketChart(); } catch (e) { console.error("[INTERMARKET] Chart fail:", e.message); }
+  }
+
+  // Preview không lưu snapshot để không lệch lịch sử dùng cho ngưỡng động
+  if (opts.preview) {
+    deliver("intermarket", render, { ...opts, photo });
+    return { sent: false, preview: true, samples: hist.length };
+  }
+
+  // /intermarket (bot command) chạy ngoài lịch → không lưu, chỉ lần chạy định kỳ mới vào lịch sử
+  const queued = db.transaction(() => {
+    if (!opts.chatId) saveIntermarketSnapshot(snapshot);
+    return deliver("intermarket", render, { ...opts, photo });
+  })();
 
-  return { sent: true };
+  return { sent: true, queued, samples: hist.length };
 }
 
-// ================= RUN =================
-console.log(`[WORKER] Started. NEWS_CRON=${NEWS_CRON} | ONCHAIN_CRON=${ONCHAIN_CRON} | TZ=${CRON_TZ}`);
+// =========================================================
+// ================= RECAP (TỔNG KẾT NGÀY / TUẦN) =================
+// =========================================================
+// interval/bars: nến dùng tính hiệu suất BTC/vàng trong kỳ
+const RECAP_PERIODS = {
+  daily: { ms: 24 * 3600 * 1000, interval: "1h", bars: 24 },
+  weekly: { ms: 7 * 24 * 3600 * 1000, interval: "4h", bars: 42 }
+};
+
+const stmtRecapSources = db.prepare(`
+  SELECT source, COUNT(*) AS n FROM posted
+  WHERE created_at >= datetime(?, 'unixepoch') GROUP BY source ORDER BY n DESC, source
+`);
+const stmtRecapPosted = db.prepare("SELECT title, url, source, score, tags FROM posted WHERE created_at >= datetime(?, 'unixepoch') ORDER BY id");
+const stmtTaSnapSymbols = db.prepare("SELECT DISTINCT symbol FROM ta_snapshots WHERE ts >= ? ORDER BY symbol");
+const stmtTaSnapRange = db.prepare("SELECT * FROM ta_snapshots WHERE symbol=? AND ts >= ? ORDER BY ts");
+const stmtTaSnapBefore = db.prepare("SELECT state FROM ta_snapshots WHERE symbol=? AND ts < ? ORDER BY ts DESC LIMIT 1");
+
+// Số liệu tin + TA trong kỳ (chỉ đọc DB). Các hàng posted cùng title là 1 cụm tin
+// (tin chính + link trùng từ nguồn khác, xem recordPosted) → đếm là 1 tin.
+function collectRecap(period, now = Date.now()) {
+  const since = now - RECAP_PERIODS[period].ms;
+  const sinceSec = Math.floor(since / 1000);
+
+  const stories = new Map();
+  for (const r of stmtRecapPosted.all(sinceSec)) {
+    const story = stories.get(r.title);
+    if (story) {
+      story.related.push({ source: r.source, link: r.url });
+      continue;
+    }
+    stories.set(r.title, {
+      title: r.title,
+      link: r.url,
+      source: r.source,
+      score: r.score ?? 0,
+      tags: r.tags ? r.tags.split(",").filter(Boolean) : [],
+      related: []
+    });
+  }
+
+  const tagCounts = new Map();
+  for (const story of stories.values()) {
+    for (const t of story.tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
+  }
+  const topTags = [...tagCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, RECAP_TOP_TAGS);
+  const headlines = [...stories.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RECAP_TOP_HEADLINES);
+
+  // PA cao/thấp nhất và các lần đổi trạng thái (so cả với snapshot cuối trước kỳ)
+  const ta = stmtTaSnapSymbols.all(since).map(({ symbol }) => {
+    const snaps = stmtTaSnapRange.all(symbol, since);
+    const max = snaps.reduce((a, b) => (b.pa_score > a.pa_score ? b : a));
+    const min = snaps.reduce((a, b) => (b.pa_score < a.pa_score ? b : a));
+    const changes = [];
+    let prev = stmtTaSnapBefore.get(symbol, since)?.state ?? null;
+    for (const snap of snaps) {
+      if (prev && snap.state !== prev) changes.push({ from: prev, to: snap.state, ts: snap.ts });
+      prev = snap.state;
+    }
+    return { symbol, max, min, changes, state: prev };
+  });
+
+  return {
+    period,
+    since,
+    until: now,
+    storyCount: stories.size,
+    sources: stmtRecapSources.all(sinceSec),
+    topTags,
+    headlines,
+    ta
+  };
+}
+
+// Hiệu suất trong kỳ: từ giá mở nến đầu tới giá đóng nến cuối, kèm cao/thấp
+async function periodPerformance(symbol, period) {
+  const { interval, bars } = RECAP_PERIODS[period];
+  const { candles } = await fetchKlines(symbol, interval, bars);
+  if (candles.length === 0) throw new Error(`No klines for ${symbol}`);
+  const open = candles[0].open;
+  return {
+    pct: open ? (candles.at(-1).close / open - 1) * 100 : null,
+    high: Math.max(...candles.map(c => c.high)),
+    low: Math.min(...candles.map(c => c.low))
+  };
+}
+
+function buildRecapPost(recap, market, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  const R = L.recap;
+  const { f } = L;
+  const stateLabel = (s) => escapeHtml(L.ta.states[s]?.label || s);
+
+  const header = recap.period === "weekly"
+    ? R.header.weekly(f.date(recap.since), f.date(recap.until))
+    : R.header.daily(f.date(recap.until));
+
+  const blocks = [];
+  blocks.push(recap.storyCount
+    ? [R.stories(recap.storyCount, recap.sources.length), ...recap.sources.map(s => `🔹 ${escapeHtml(s.source)}: ${s.n}`)].join("\n")
+    : `${R.stories(0, 0)}\n${R.noStories}`);
+
+  if (recap.topTags.length) {
+    blocks.push(`${R.topics}\n🔹 ${recap.topTags.map(([t, n]) => `#${escapeHtml(t)} (${n})`).join(" · ")}`);
+  }
+
+  // Mỗi tin 1 block để renderPost chia phần đúng ranh giới; tiêu đề theo bản dịch của locale nếu có
+  recap.headlines.forEach((it, i) => {
+    const tr = it.tr?.[L.translateTo];
+    const sources = [...new Set([it.source, ...it.related.map(r => r.source)])];
+    const lines = [
+      `🔹 ${i + 1}) <b>${escapeHtml(safeText(tr?.title || it.title, 140))}</b>`,
+      `🔹 ${escapeHtml(sources.join(", "))} | ${R.score} ${f.fixed(it.score, 1)}`,
+      `🔹 ${escapeHtml(it.link)}`
+    ];
+    blocks.push(i === 0 ? `${R.headlines}\n${lines.join("\n")}` : lines.join("\n"));
+  });
+
+  const perfLine = (name, p) => R.perf(name, p ? f.pct(p.pct) : "n/a", p ? f.price(p.high) : "n/a", p ? f.price(p.low) : "n/a");
+  blocks.push([R.market, perfLine(R.btc, market.btc), perfLine(escapeHtml(R.gold(GOLD_SYMBOL)), market.gold)].join("\n"));
+
+  const taLines = recap.ta.flatMap(t => [
+    R.paRange(escapeHtml(t.symbol), f.fixed(t.max.pa_score, 1), f.date(t.max.ts), f.fixed(t.min.pa_score, 1), f.date(t.min.ts)),
+    ...(t.changes.length
+      ? t.changes.map(c => R.stateChange(stateLabel(c.from), stateLabel(c.to), f.date(c.ts)))
+      : [R.stateKept(stateLabel(t.state))])
+  ]);
+  blocks.push(`${R.pa}\n${taLines.length ? taLines.join("\n") : R.noTa}`);
+
+  return renderPost({ header, blocks, footer: R.disclaimer, partLabel: L.common.part });
+}
+
+// period: daily | weekly. Gửi cho subscriber topic news (opts.chatId: chỉ chat yêu cầu)
+async function runRecapJob(period = "daily", opts = {}) {
+  if (!RECAP_PERIODS[period]) throw new Error(`Unknown recap period: ${period}`);
+  const targets = opts.preview ? [{ lang: opts.lang || DEFAULT_LANG }]
+    : opts.chatId ? [getSubscriber(opts.chatId)] : subscribersFor("news");
+  if (targets.length === 0) return { sent: false, reason: "no_subscribers" };
+
+  const recap = collectRecap(period);
+  const market = {};
+  for (const [key, symbol] of [["btc", BTC_SPOT_SYMBOL], ["gold", GOLD_SYMBOL]]) {
+    try {
+      market[key] = await periodPerformance(symbol, period);
+    } catch (e) {
+      console.error(`[RECAP] ${symbol}:`, e.message);
+      market[key] = null;
+    }
+  }
+  if (recap.storyCount === 0 && recap.ta.length === 0 && !market.btc && !market.gold) {
+    return { sent: false, period, reason: "no_data" };
+  }
+
+  await translateItems(recap.headlines, [...new Set(targets.map(sub => sub.lang))]);
+
+  const posts = {};
+  const queued = deliver("news", sub => (posts[sub.lang] ??= buildRecapPost(recap, market, sub.lang)), opts);
+  return { sent: true, period, stories: recap.storyCount, symbols: recap.ta.length, queued };
+}
+
+// =========================================================
+// ===================== PRICE ALERTS ========================
+// =========================================================
+db.exec(`
+  CREATE TABLE IF NOT EXISTS alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    chat_id TEXT NOT NULL,
+    user_id TEXT,
+    symbol TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    threshold REAL NOT NULL,
+    interval TEXT,
+    armed INTEGER NOT NULL DEFAULT 1,
+    last_value REAL,
+    last_fired_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+`);
+const stmtAlertIns = db.prepare("INSERT INTO alerts(chat_id,user_id,symbol,kind,threshold,interval) VALUES (?,?,?,?,?,?)");
+const stmtAlertAll = db.prepare("SELECT * FROM alerts ORDER BY id");
+const stmtAlertByChat = db.prepare("SELECT * FROM alerts WHERE chat_id=? ORDER BY id");
+const stmtAlertGet = db.prepare("SELECT * FROM alerts WHERE id=? AND chat_id=?");
+const stmtAlertDel = db.prepare("DELETE FROM alerts WHERE id=? AND chat_id=?");
+const stmtAlertState = db.prepare("UPDATE alerts SET armed=?, last_value=? WHERE id=?");
+const stmtAlertFired = db.prepare("UPDATE alerts SET armed=0, last_value=?, last_fired_at=datetime('now') WHERE id=?");
+
+// Cặp spot phải kết thúc bằng đồng định giá quen thuộc → lọc symbol rác trước khi gọi sàn
+const ALERT_SYMBOL_RE = /^[A-Z0-9]{2,15}(?:USDT|USDC|FDUSD|BUSD|TUSD|BTC|ETH|BNB|EUR|TRY)$/;
+const KLINE_INTERVALS = ["1m", "3m", "5m", "15m", "30m", "1h", "2h", "4h", "6h", "8h", "12h", "1d", "3d", "1w"];
+const WINDOW_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 };
+
+function windowMinutes(w) {
+  const m = /^(\d+)([mhdw])$/.exec(String(w || "").toLowerCase());
+  return m ? Number(m[1]) * WINDOW_MINUTES[m[2]] : null;
+}
+
+// Cú pháp:
+//   SYMBOL above|below PRICE
+//   SYMBOL move 2% 4h
+//   SYMBOL rsi<30 1d | rsi>70 4h
+function parseAlertArgs(args) {
+  const [rawSymbol, rawCond = "", a1, a2] = args;
+  const symbol = String(rawSymbol || "").toUpperCase();
+  if (!ALERT_SYMBOL_RE.test(symbol)) return null;
+  const cond = rawCond.toLowerCase();
+
+  if (cond === "above" || cond === "below") {
+    const price = Number(String(a1 || "").replace(/[,_]/g, ""));
+    if (!Number.isFinite(price) || price <= 0) return null;
+    return { symbol, kind: cond, threshold: price, interval: null };
+  }
 
-cron.schedule(
-  NEWS_CRON,
-  async () => {
+  if (cond === "move") {
+    const pct = Number(String(a1 || "").replace("%", ""));
+    const mins = windowMinutes(a2);
+    if (!Number.isFinite(pct) || pct <= 0 || !mins || mins > 7 * 1440) return null;
+    return { symbol, kind: "move", threshold: pct, interval: a2.toLowerCase() };
+  }
+
+  const m = /^rsi([<>])(\d+(?:\.\d+)?)$/.exec(cond);
+  if (m) {
+    const level = Number(m[2]);
+    const interval = (a1 || "1d").toLowerCase();
+    if (level <= 0 || level >= 100 || !KLINE_INTERVALS.includes(interval)) return null;
+    return { symbol, kind: m[1] === "<" ? "rsi_below" : "rsi_above", threshold: level, interval };
+  }
+  return null;
+}
+
+// L: locale của chat (bài cảnh báo, danh sách, phản hồi lệnh)
+function describeAlert(a, L) {
+  const D = L.alert.describe;
+  if (a.kind === "above") return D.above(fmtPrice(a.threshold, L.format.numbers));
+  if (a.kind === "below") return D.below(fmtPrice(a.threshold, L.format.numbers));
+  if (a.kind === "move") return D.move(a.threshold, a.interval);
+  if (a.kind === "rsi_below") return D.rsi_below(a.threshold, a.interval);
+  return D.rsi_above(a.threshold, a.interval);
+}
+
+function fmtAlertValue(a, v, loc) {
+  if (a.kind === "move") return fmtPct(v);
+  if (a.kind.startsWith("rsi")) return v.toFixed(1);
+  return fmtPrice(v, loc);
+}
+
+// Chọn khung nến con cho cửa sổ % move (rolling), giới hạn số nến cần tải
+function moveBaseInterval(mins) {
+  if (mins <= 120) return { interval: "1m", step: 1 };
+  if (mins <= 600) return { interval: "5m", step: 5 };
+  if (mins <= 1500) return { interval: "15m", step: 15 };
+  if (mins <= 6000) return { interval: "1h", step: 60 };
+  return { interval: "4h", step: 240 };
+}
+
+// Giá trị hiện tại của chỉ số alert theo dõi; cache theo lượt poll để không gọi sàn trùng
+async function alertValue(a, cache) {
+  const load = (interval, limit) => {
+    const key = `${a.symbol}:${interval}:${limit}`;
+    if (!cache.has(key)) cache.set(key, fetchKlines(a.symbol, interval, limit).then(r => r.candles));
+    return cache.get(key);
+  };
+
+  if (a.kind === "above" || a.kind === "below") {
+    return (await load("1m", 2)).at(-1).close;
+  }
+  if (a.kind === "move") {
+    const { interval, step } = moveBaseInterval(windowMinutes(a.interval));
+    const n = Math.ceil(windowMinutes(a.interval) / step);
+    const k = await load(interval, n + 1);
+    const from = k[Math.max(0, k.length - 1 - n)].close;
+    return (k.at(-1).close / from - 1) * 100;
+  }
+  const k = await load(a.interval, 100);
+  return rsi(k.map(x => x.close), 14).at(-1);
+}
+
+// hit: điều kiện đạt → bắn (nếu đang armed). clear: đã lùi đủ xa → re-arm (hysteresis, chống flap)
+function evalAlert(a, v) {
+  const h = ALERT_HYSTERESIS_PCT / 100;
+  switch (a.kind) {
+    case "above": return { hit: v >= a.threshold, clear: v < a.threshold * (1 - h) };
+    case "below": return { hit: v <= a.threshold, clear: v > a.threshold * (1 + h) };
+    case "move": return { hit: Math.abs(v) >= a.threshold, clear: Math.abs(v) < a.threshold / 2 };
+    case "rsi_below": return { hit: v <= a.threshold, clear: v >= a.threshold + 5 };
+    case "rsi_above": return { hit: v >= a.threshold, clear: v <= a.threshold - 5 };
+    default: return { hit: false, clear: false };
+  }
+}
+
+function buildAlertPost(a, v, lang = DEFAULT_LANG) {
+  const L = locale(lang);
+  return renderPost({
+    header: L.alert.header(escapeHtml(a.symbol), L.f.dateTime()),
+    blocks: [L.alert.body(escapeHtml(describeAlert(a, L)), fmtAlertValue(a, v, L.format.numbers), a.id)],
+    partLabel: L.common.part
+  });
+}
+
+async function runAlertsJob() {
+  // Chat đã bị gỡ khỏi ALLOWED_CHATS → giữ alert trong DB nhưng không kiểm tra / gửi (như subscribersFor)
+  const alerts = stmtAlertAll.all().filter(a => isAllowedChat(a.chat_id));
+  if (alerts.length === 0) return { checked: 0, fired: 0 };
+
+  const cache = new Map();
+  let fired = 0;
+  let failed = 0;
+
+  for (const a of alerts) {
+    let v;
     try {
-      const r = await runNewsJob();
-      console.log("[NEWS]", r);
+      v = await alertValue(a, cache);
     } catch (e) {
-      console.error("[NEWS] Error:", e.message);
+      failed++;
+      console.error(`[ALERT] #${a.id} ${a.symbol}:`, e.message);
+      continue;
+    }
+    if (!Number.isFinite(v)) continue;
+
+    const { hit, clear } = evalAlert(a, v);
+    if (a.armed && hit) {
+      db.transaction(() => {
+        deliver("alert", sub => buildAlertPost(a, v, sub.lang), { chatId: a.chat_id });
+        stmtAlertFired.run(v, a.id);
+      })();
+      fired++;
+    } else {
+      stmtAlertState.run(!a.armed && clear ? 1 : a.armed, v, a.id);
+    }
+  }
+  return { checked: alerts.length, fired, failed };
+}
+
+function buildAlertsList(chatId) {
+  const L = locale(getSubscriber(chatId).lang);
+  const rows = stmtAlertByChat.all(String(chatId));
+  if (rows.length === 0) return L.alert.listEmpty;
+
+  let text = `${L.alert.listHeader(rows.length)}\n`;
+  for (const a of rows) {
+    const state = a.armed ? "🟢" : "⏸";
+    const last = Number.isFinite(a.last_value) ? L.alert.listLast(fmtAlertValue(a, a.last_value, L.format.numbers)) : "";
+    text += `\n${state} #${a.id} <b>${escapeHtml(a.symbol)}</b> – ${escapeHtml(describeAlert(a, L))}${last}`;
+  }
+  text += `\n\n${L.alert.listFooter}`;
+  return text;
+}
+
+async function runAlertCommand(args, opts, msg) {
+  const L = locale(getSubscriber(opts.chatId).lang);
+  const reply = (text) => sendTelegramMessage(text, opts);
+
+  if ((args[0] || "").toLowerCase() === "del") {
+    const id = parseInt(args[1], 10);
+    const a = Number.isFinite(id) ? stmtAlertGet.get(id, String(opts.chatId)) : null;
+    if (!a) return reply(L.alert.notFound);
+    // Chỉ người tạo hoặc admin chat mới được xoá alert của người khác
+    if (a.user_id !== String(msg.from?.id ?? "") && !(await isChatAdmin(msg))) return reply(L.alert.notOwner);
+    stmtAlertDel.run(id, String(opts.chatId));
+    return reply(L.alert.deleted(id));
+  }
+
+  const spec = parseAlertArgs(args);
+  if (!spec) return reply(L.alert.usage);
+  if (stmtAlertByChat.all(String(opts.chatId)).length >= ALERT_MAX_PER_CHAT) return reply(L.alert.maxPerChat(ALERT_MAX_PER_CHAT));
+
+  // Cú pháp + định dạng symbol đã qua parseAlertArgs (không gọi mạng); giờ mới hỏi sàn symbol có tồn tại không
+  let v;
+  try {
+    v = await alertValue(spec, new Map());
+  } catch {
+    return reply(L.alert.noData(escapeHtml(spec.symbol)));
+  }
+
+  const r = stmtAlertIns.run(String(opts.chatId), String(msg.from?.id ?? ""), spec.symbol, spec.kind, spec.threshold, spec.interval);
+  return reply(L.alert.created(r.lastInsertRowid, escapeHtml(spec.symbol), escapeHtml(describeAlert(spec, L)), fmtAlertValue(spec, v, L.format.numbers)));
+}
+
+// =========================================================
+// ===================== JOB STATUS ==========================
+// =========================================================
+const jobStatus = {}; // name -> { at, ok, ms, result | error, lastOkAt }
+const runningJobs = new Set();
+
+async function trackJob(name, fn) {
+  const started = Date.now();
+  const lastOkAt = jobStatus[name]?.lastOkAt ?? null;
+  runningJobs.add(name);
+  try {
+    const result = await fn();
+    const ms = Date.now() - started;
+    jobStatus[name] = { at: started, ok: true, ms, result, lastOkAt: started };
+    metricInc("newsbot_job_runs_total", { job: name, status: "ok" });
+    metricObserve("newsbot_job_duration_seconds", { job: name }, ms / 1000);
+    return result;
+  } catch (e) {
+    const ms = Date.now() - started;
+    jobStatus[name] = { at: started, ok: false, ms, error: e.message, lastOkAt };
+    metricInc("newsbot_job_runs_total", { job: name, status: "error" });
+    metricObserve("newsbot_job_duration_seconds", { job: name }, ms / 1000);
+    throw e;
+  } finally {
+    runningJobs.delete(name);
+  }
+}
+
+function buildStatusPost() {
+  const names = ["news", "ta", "intermarket", "recap", "alerts"];
+  let text = `🩺 <b>TRẠNG THÁI WORKER</b>\n<i>${nowVN()}</i>\n`;
+
+  for (const name of names) {
+    const st = jobStatus[name];
+    if (!st) {
+      text += `\n🔹 <b>${name}</b>: chưa chạy\n`;
+      continue;
+    }
+    const detail = st.ok ? JSON.stringify(st.result) : st.error;
+    text += `\n🔹 <b>${name}</b>: ${st.ok ? "✅" : "❌"} ${nowVN(st.at)} (${(st.ms / 1000).toFixed(1)}s)\n`;
+    text += `<code>${escapeHtml(safeText(detail, 200))}</code>\n`;
+  }
+
+  const ob = outboxCounts();
+  text += `\n🔹 <b>outbox</b>: chờ gửi ${ob.pending} | đã gửi ${ob.sent} | lỗi ${ob.failed}\n`;
+  return text;
+}
+
+// =========================================================
+// ===================== BOT COMMANDS ========================
+// =========================================================
+const cooldowns = new Map(); // `${userId}:${cmd}` -> timestamp
+
+// Trả về số giây còn phải chờ (0 = được chạy)
+function cooldownLeft(userId, cmd) {
+  const key = `${userId}:${cmd}`;
+  const last = cooldowns.get(key) || 0;
+  const left = last + COMMAND_COOLDOWN_SEC * 1000 - Date.now();
+  if (left > 0) return Math.ceil(left / 1000);
+  cooldowns.set(key, Date.now());
+  return 0;
+}
+
+function buildSubscriptionText(sub) {
+  const topics = sub.topics.length ? sub.topics.join(", ") : "chưa đăng ký";
+  return `🔹 Đăng ký: <b>${topics}</b> | Ngôn ngữ: <b>${sub.lang}</b>`;
+}
+
+// Group/supergroup: chỉ admin được đổi thiết lập. Private chat & channel luôn được phép.
+// Group: hỏi Telegram quyền của người gửi. Channel: chỉ admin mới đăng được bài.
+// Chat riêng: chỉ admin chat (CHAT_ID) hoặc user trong ADMIN_USERS.
+async function isChatAdmin(msg) {
+  if (msg.chat.type === "channel") return true;
+  if (msg.chat.type === "private") {
+    return String(msg.chat.id) === String(CHAT_ID) || ADMIN_USERS.has(String(msg.from?.id ?? ""));
+  }
+  if (!msg.from) return false;
+  try {
+    const data = await telegramApi("getChatMember", { chat_id: msg.chat.id, user_id: msg.from.id });
+    return ["creator", "administrator"].includes(data.result?.status);
+  } catch {
+    return false;
+  }
+}
+
+function buildSourcesList() {
+  const rows = stmtSrcAll.all();
+  if (rows.length === 0) return "🔹 Chưa có nguồn RSS nào. Thêm: /sources add &lt;tên&gt; &lt;url&gt;";
+
+  let text = `📡 <b>NGUỒN RSS</b> (${rows.length})\n`;
+  for (const s of rows) {
+    const icon = !s.enabled ? "⏸" : s.consecutive_failures > 0 ? "❌" : "✅";
+    text += `\n${icon} <b>${escapeHtml(s.name)}</b>\n`;
+    text += `🔹 ${escapeHtml(s.url)}\n`;
+    text += `🔹 OK gần nhất: ${s.last_success_at ? nowVN(s.last_success_at) : "chưa có"} | Lỗi liên tiếp: ${s.consecutive_failures}\n`;
+    text += `🔹 Tin lần cuối: ${s.last_item_count} | Tổng: ${s.total_items}\n`;
+    if (s.keywords) text += `🔹 Keywords riêng: ${escapeHtml(s.keywords)}\n`;
+  }
+  return text;
+}
+
+async function runSourcesCommand(args, opts) {
+  const [action = "list", name, ...rest] = args;
+  const reply = (text) => sendTelegramMessage(text, opts);
+  const usage = locale(getSubscriber(opts.chatId).lang).bot.sourcesUsage;
+
+  if (action === "list") return reply(buildSourcesList());
+
+  if (action === "add") {
+    const url = rest[0];
+    if (!name || !/^https?:\/\/\S+$/i.test(url || "")) return reply(usage);
+    if (stmtSrcGet.get(name)) return reply(`🔹 Nguồn <b>${escapeHtml(name)}</b> đã tồn tại.`);
+    stmtSrcIns.run(name, url);
+    return reply(`✅ Đã thêm nguồn <b>${escapeHtml(name)}</b>.`);
+  }
+
+  if (!["remove", "pause", "resume", "keywords"].includes(action) || !name) return reply(usage);
+  const src = stmtSrcGet.get(name);
+  if (!src) return reply(`🔹 Không tìm thấy nguồn <b>${escapeHtml(name)}</b>.`);
+
+  if (action === "remove") stmtSrcDel.run(src.id);
+  if (action === "pause") stmtSrcEnable.run(0, src.id);
+  if (action === "resume") stmtSrcEnable.run(1, src.id);
+  if (action === "keywords") {
+    const list = rest.join(" ").trim();
+    if (!list) return reply(usage);
+    stmtSrcKeywords.run(list === "-" ? null : list, src.id);
+  }
+  return reply(`✅ Đã cập nhật nguồn <b>${escapeHtml(src.name)}</b> (${action}).`);
+}
+
+const COMMANDS = {
+  news: {
+    cooldown: true,
+    run: async (args, opts) => {
+      const r = await trackJob("news", () => runNewsJob(opts));
+      if (!r.sent) {
+        const why = r.reason === "not_enough_relevant"
+          ? `chỉ có ${r.count} tin liên quan (cần tối thiểu ${MIN_ITEMS})`
+          : "chưa có tin mới";
+        await sendTelegramMessage(`🔹 Chưa gửi bản tin: ${why}.`, opts);
+      }
+    }
+  },
+  ta: {
+    cooldown: true,
+    run: async (args, opts) => {
+      const symbol = (args[0] || TA_SYMBOL).toUpperCase();
+      if (!/^[A-Z0-9]{5,20}$/.test(symbol)) {
+        await sendTelegramMessage("🔹 Symbol không hợp lệ. Ví dụ: /ta BTCUSDT", opts);
+        return;
+      }
+      try {
+        await runTaJob([symbol], opts);
+      } catch {
+        await sendTelegramMessage(`🔹 Không lấy được dữ liệu cho <b>${escapeHtml(symbol)}</b>.`, opts);
+      }
+    }
+  },
+  intermarket: {
+    cooldown: true,
+    run: (args, opts) => trackJob("intermarket", () => runIntermarketH4(opts))
+  },
+  recap: {
+    cooldown: true,
+    run: async (args, opts) => {
+      const period = (args[0] || "").toLowerCase() === "week" ? "weekly" : "daily";
+      const r = await trackJob("recap", () => runRecapJob(period, opts));
+      if (!r.sent) await sendTelegramMessage("🔹 Chưa có dữ liệu để tổng kết trong kỳ này.", opts);
+    }
+  },
+  fees: {
+    cooldown: true,
+    run: async (args, opts) => {
+      const { lang } = getSubscriber(opts.chatId);
+      return sendTelegramMessage(buildFeesPost(await getMempoolFees(), loadIntermarketHistory(), lang), opts);
+    }
+  },
+  status: {
+    run: (args, opts) => sendTelegramMessage(buildStatusPost(), opts)
+  },
+  subscribe: {
+    admin: true,
+    run: async (args, opts) => {
+      const sub = getSubscriber(opts.chatId);
+      const wanted = args.map(a => a.toLowerCase());
+      const invalid = wanted.filter(t => !TOPICS.includes(t));
+      if (wanted.length === 0 || invalid.length) {
+        await sendTelegramMessage(`🔹 Cú pháp: /subscribe ${TOPICS.join("|")}\n${buildSubscriptionText(sub)}`, opts);
+        return;
+      }
+      sub.topics = [...new Set([...sub.topics, ...wanted])];
+      saveSubscriber(sub);
+      await sendTelegramMessage(`✅ Đã cập nhật.\n${buildSubscriptionText(sub)}`, opts);
     }
   },
-  { timezone: CRON_TZ }
-);
+  unsubscribe: {
+    admin: true,
+    run: async (args, opts) => {
+      const sub = getSubscriber(opts.chatId);
+      const removed = args.length ? args.map(a => a.toLowerCase()) : TOPICS;
+      sub.topics = sub.topics.filter(t => !removed.includes(t));
+      saveSubscriber(sub);
+      await sendTelegramMessage(`✅ Đã cập nhật.\n${buildSubscriptionText(sub)}`, opts);
+    }
+  },
+  alert: {
+    cooldown: true,
+    run: runAlertCommand
+  },
+  alerts: {
+    run: (args, opts) => sendTelegramMessage(buildAlertsList(opts.chatId), opts)
+  },
+  sources: {
+    admin: true,
+    adminChat: true,
+    run: runSourcesCommand
+  },
+  lang: {
+    admin: true,
+    run: async (args, opts) => {
+      const sub = getSubscriber(opts.chatId);
+      const lang = (args[0] || "").toLowerCase();
+      if (!LANGS.includes(lang)) {
+        await sendTelegramMessage(`🔹 Cú pháp: /lang ${LANGS.join("|")}\n${buildSubscriptionText(sub)}`, opts);
+        return;
+      }
+      sub.lang = lang;
+      saveSubscriber(sub);
+      await sendTelegramMessage(`✅ Đã cập nhật.\n${buildSubscriptionText(sub)}`, opts);
+    }
+  },
+  help: {
+    run: (args, opts) => sendTelegramMessage(locale(getSubscriber(opts.chatId).lang).bot.help, opts)
+  },
+  start: {
+    run: (args, opts) => sendTelegramMessage(locale(getSubscriber(opts.chatId).lang).bot.help, opts)
+  }
+};
+
+function parseCommand(text) {
+  const m = /^\/([a-z_]+)(?:@\w+)?(?:\s+(.*))?$/is.exec(String(text || "").trim());
+  if (!m) return null;
+  return { cmd: m[1].toLowerCase(), args: (m[2] || "").split(/\s+/).filter(Boolean) };
+}
+
+async function handleUpdate(update) {
+  const msg = update.message || update.channel_post;
+  if (!msg?.text) return;
+
+  const parsed = parseCommand(msg.text);
+  if (!parsed) return;
+  const command = COMMANDS[parsed.cmd];
+  if (!command) return;
+  // Không trả lời chat lạ (tránh bị dùng để gọi sàn / spam), chỉ ghi log
+  if (!isAllowedChat(msg.chat.id)) {
+    console.log(`[BOT] Bỏ qua /${parsed.cmd} từ chat không được phép: ${msg.chat.id}`);
+    return;
+  }
+
+  const opts = { chatId: msg.chat.id, replyTo: msg.message_id };
+  const userId = msg.from?.id ?? msg.chat.id;
+
+  if (command.adminChat && String(msg.chat.id) !== String(CHAT_ID)) {
+    await sendTelegramMessage("🔹 Lệnh này chỉ dùng trong admin chat.", opts);
+    return;
+  }
+
+  if (command.admin && !(await isChatAdmin(msg))) {
+    await sendTelegramMessage("🔹 Chỉ admin mới dùng được lệnh này.", opts);
+    return;
+  }
+
+  if (command.cooldown) {
+    const left = cooldownLeft(userId, parsed.cmd);
+    if (left > 0) {
+      await sendTelegramMessage(`⏳ Vui lòng chờ ${left}s trước khi dùng lại /${parsed.cmd}.`, opts);
+      return;
+    }
+  }
 
-cron.schedule(
-  ONCHAIN_CRON,
-  async () => {
+  try {
+    await command.run(parsed.args, opts, msg);
+    console.log(`[BOT] /${parsed.cmd}`, parsed.args.join(" "));
+  } catch (e) {
+    console.error(`[BOT] /${parsed.cmd} error:`, e.message);
+    await sendTelegramMessage("❌ Có lỗi khi xử lý lệnh, vui lòng thử lại sau.", opts).catch(() => {});
+  }
+}
+
+async function pollUpdates() {
+  let offset = 0;
+  for (;;) {
     try {
-      const r = await runIntermarketH4();
-      console.log("[INTERMARKET][H4]", r);
+      const data = await telegramApi("getUpdates", {
+        offset,
+        timeout: 50,
+        allowed_updates: ["message", "channel_post"]
+      });
+      for (const update of data.result || []) {
+        offset = update.update_id + 1;
+        await handleUpdate(update);
+      }
     } catch (e) {
-      console.error("[INTERMARKET][H4] Error:", e.message);
+      console.error("[BOT] getUpdates error:", e.message);
+      await sleep(5000);
     }
+  }
+}
+
+// =========================================================
+// ===================== ADMIN HTTP ==========================
+// =========================================================
+// GET  /healthz              – DB + lần chạy gần nhất của từng job (không cần token)
+// GET  /metrics              – Prometheus text format (không cần token)
+// POST /jobs/<job>/run       – chạy job ngay, gửi thật tới subscriber (cần token)
+// GET  /preview/<job>        – render bài của job, không gửi (cần token vì vẫn gọi API ngoài)
+//      ?lang=vi|en  ?symbols=BTCUSDT,ETHUSDT (ta)  ?period=daily|weekly (recap)  ?format=json
+// Token: header "Authorization: Bearer <ADMIN_TOKEN>" hoặc "X-Admin-Token: <ADMIN_TOKEN>"
+const ADMIN_JOBS = {
+  news: (opts) => runNewsJob(opts),
+  ta: (opts, query) => {
+    const symbols = (query.get("symbols") || "").split(",").map(s => s.trim().toUpperCase()).filter(Boolean);
+    return runTaJob(symbols.length ? symbols : TA_SYMBOLS, opts);
   },
-  { timezone: CRON_TZ }
-);
+  intermarket: (opts) => runIntermarketH4(opts),
+  recap: (opts, query) => runRecapJob(query.get("period") === "weekly" ? "weekly" : "daily", opts)
+};
+const STATUS_JOBS = ["news", "ta", "intermarket", "recap", "alerts"];
+const startedAt = Date.now();
+
+function checkAdminToken(req) {
+  if (!ADMIN_TOKEN) return false;
+  const auth = String(req.headers.authorization || "");
+  const given = auth.startsWith("Bearer ") ? auth.slice(7) : String(req.headers["x-admin-token"] || "");
+  // So sánh digest cùng độ dài → timingSafeEqual không lộ độ dài token
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function sendHttp(res, status, body, type = "application/json; charset=utf-8") {
+  res.writeHead(status, { "content-type": type, "cache-control": "no-store" });
+  res.end(typeof body === "string" ? body : JSON.stringify(body, null, 2));
+}
+
+function buildHealth() {
+  let dbError = null;
+  try { db.prepare("SELECT 1").get(); } catch (e) { dbError = e.message; }
+
+  const iso = (t) => (t ? new Date(t).toISOString() : null);
+  const jobs = {};
+  for (const name of STATUS_JOBS) {
+    const st = jobStatus[name];
+    jobs[name] = {
+      running: runningJobs.has(name),
+      lastRunAt: iso(st?.at),
+      lastOk: st ? st.ok : null,
+      lastDurationMs: st?.ms ?? null,
+      lastSuccessAt: iso(st?.lastOkAt),
+      ...(st && !st.ok ? { error: st.error } : {})
+    };
+  }
+
+  return {
+    ok: !dbError,
+    db: dbError ? `error: ${dbError}` : "ok",
+    uptimeSec: Math.round((Date.now() - startedAt) / 1000),
+    jobs,
+    outbox: dbError ? null : outboxCounts()
+  };
+}
 
-console.log("[NEWS] Scheduled.");
-console.log("[INTERMARKET] Scheduled.");
+function metricsGauges() {
+  const ob = outboxCounts();
+  return [
+    {
+      name: "newsbot_outbox_messages",
+      help: "Outbox messages by status",
+      series: Object.entries(ob).map(([status, value]) => ({ labels: { status }, value }))
+    },
+    {
+      name: "newsbot_job_last_success_timestamp_seconds",
+      help: "Unix time of the last successful run per job",
+      series: STATUS_JOBS.filter(j => jobStatus[j]?.lastOkAt).map(j => ({ labels: { job: j }, value: jobStatus[j].lastOkAt / 1000 }))
+    },
+    {
+      name: "newsbot_job_running",
+      help: "Whether a job is currently running",
+      series: STATUS_JOBS.map(j => ({ labels: { job: j }, value: runningJobs.has(j) ? 1 : 0 }))
+    },
+    {
+      name: "newsbot_subscribers",
+      help: "Subscribed chats per topic",
+      series: TOPICS.map(topic => ({ labels: { topic }, value: subscribersFor(topic).length }))
+    },
+    {
+      name: "newsbot_uptime_seconds",
+      help: "Seconds since the worker started",
+      series: [{ value: Math.round((Date.now() - startedAt) / 1000) }]
+    }
+  ];
+}
+
+function renderPreviewText(job, items) {
+  if (!items.length) return `(${job}: không có bài nào được tạo)\n`;
+  const out = [];
+  items.forEach((it, i) => {
+    it.parts.forEach((text, j) => {
+      const photo = it.photo && j === 0 ? ` | kèm ảnh PNG ${it.photo.length} bytes` : "";
+      out.push(`===== ${it.topic} #${i + 1} – phần ${j + 1}/${it.parts.length}${photo} =====\n${text}`);
+    });
+  });
+  return out.join("\n\n") + "\n";
+}
+
+async function handleAdminRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  req.resume(); // bỏ qua body (không route nào cần)
+
+  if (req.method === "GET" && url.pathname === "/healthz") {
+    const health = buildHealth();
+    return sendHttp(res, health.ok ? 200 : 503, health);
+  }
+  if (req.method === "GET" && url.pathname === "/metrics") {
+    return sendHttp(res, 200, renderMetrics(metricsGauges()), "text/plain; version=0.0.4; charset=utf-8");
+  }
+
+  const runMatch = /^\/jobs\/([a-z]+)\/run$/.exec(url.pathname);
+  const previewMatch = /^\/preview\/([a-z]+)$/.exec(url.pathname);
+  const match = runMatch || previewMatch;
+  if (!match) return sendHttp(res, 404, { error: "not_found" });
+
+  const job = match[1];
+  if (!ADMIN_JOBS[job]) return sendHttp(res, 404, { error: "unknown_job", jobs: Object.keys(ADMIN_JOBS) });
+  if (req.method !== (runMatch ? "POST" : "GET")) return sendHttp(res, 405, { error: "method_not_allowed" });
+  if (!ADMIN_TOKEN) return sendHttp(res, 403, { error: "ADMIN_TOKEN not configured" });
+  if (!checkAdminToken(req)) return sendHttp(res, 401, { error: "unauthorized" });
+
+  if (runMatch) {
+    if (runningJobs.has(job)) return sendHttp(res, 409, { error: "already_running" });
+    const result = await trackJob(job, () => ADMIN_JOBS[job]({}, url.searchParams));
+    console.log(`[ADMIN] Run ${job}:`, result);
+    return sendHttp(res, 200, { job, result });
+  }
+
+  const lang = LANGS.includes(url.searchParams.get("lang")) ? url.searchParams.get("lang") : DEFAULT_LANG;
+  const preview = [];
+  const result = await ADMIN_JOBS[job]({ preview, lang }, url.searchParams);
+  if (url.searchParams.get("format") === "json") {
+    return sendHttp(res, 200, {
+      job,
+      result,
+      messages: preview.map(it => ({ topic: it.topic, parts: it.parts, photoBytes: it.photo?.length ?? 0 }))
+    });
+  }
+  return sendHttp(res, 200, renderPreviewText(job, preview), "text/plain; charset=utf-8");
+}
+
+function startAdminServer() {
+  const server = http.createServer((req, res) => {
+    handleAdminRequest(req, res).catch(e => {
+      console.error("[ADMIN] Error:", e.message);
+      if (!res.headersSent) sendHttp(res, 500, { error: e.message });
+      else res.end();
+    });
+  });
+  server.on("error", e => console.error("[ADMIN] Server error:", e.message));
+  server.listen(ADMIN_PORT, ADMIN_HOST, () => {
+    console.log(`[ADMIN] HTTP listening on ${ADMIN_HOST}:${ADMIN_PORT}${ADMIN_TOKEN ? "" : " (ADMIN_TOKEN chưa đặt → /jobs, /preview bị khóa)"}`);
+  });
+  return server;
+}
+
+// =========================================================
+// ===================== CLI (chạy 1 job rồi thoát) ==========
+// =========================================================
+// Dùng lại ADMIN_JOBS: --period / --symbols như query của /preview. --dry-run → chế độ preview
+// (không đánh dấu tin đã đăng / không lưu snapshot), bài in ra stdout hoặc ghi file (--out).
+// Chạy thật → chờ outbox gửi xong (tối đa ~2 phút, phần còn lại worker gửi tiếp).
+async function runJobOnce({ args, flags }) {
+  const job = args[0];
+  if (!ADMIN_JOBS[job]) {
+    console.error(`[CLI] Job không hợp lệ: ${job ?? "(trống)"} – chọn: ${Object.keys(ADMIN_JOBS).join(", ")}`);
+    return 2;
+  }
+  const query = new URLSearchParams(Object.entries(flags).filter(([, v]) => typeof v === "string"));
+  const lang = LANGS.includes(flags.lang) ? flags.lang : DEFAULT_LANG;
 
-// OPTIONAL: chạy thử tin News khi start (giữ nguyên hành vi cũ, tránh spam intermarket)
-(async () => {
   try {
-    const r1 = await runNewsJob();
-    console.log("[NEWS] First run:", r1);
+    if (DRY_RUN) {
+      const preview = [];
+      const result = await trackJob(job, () => ADMIN_JOBS[job]({ preview, lang }, query));
+      for (const it of preview) writeDryRun(it.topic, { chatId: "preview", lang }, it.parts, it.photo);
+      console.log(`[CLI] ${job}:`, result);
+      return 0;
+    }
+
+    const result = await trackJob(job, () => ADMIN_JOBS[job]({}, query));
+    console.log(`[CLI] ${job}:`, result);
+    for (let i = 0; i < 120 && outboxCounts().pending > 0; i++) {
+      await flushOutbox();
+      await sleep(1000);
+    }
+    console.log("[CLI] Outbox:", outboxCounts());
+    return 0;
   } catch (e) {
-    console.error("[NEWS] First run error:", e.message);
+    console.error(`[CLI] ${job} error:`, e.message);
+    return 1;
+  }
+}
+
+// Chỉ khởi động worker khi chạy trực tiếp (node index.js); import từ module khác không bật cron/bot
+const IS_MAIN = Boolean(process.argv[1]) && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href;
+
+// ================= RUN =================
+function startWorker() {
+  console.log(`[WORKER] Started. NEWS_CRON=${NEWS_CRON} | TA_CRON=${TA_CRON} | ONCHAIN_CRON=${ONCHAIN_CRON} | ALERT_CRON=${ALERT_CRON} | TZ=${CRON_TZ}`);
+  if (DRY_RUN) console.log(`[WORKER] DRY-RUN: không gửi Telegram, bài → ${DRY_RUN_DIR || "stdout"}`);
+
+  cron.schedule(
+    NEWS_CRON,
+    async () => {
+      try {
+        const r = await trackJob("news", () => runNewsJob());
+        console.log("[NEWS]", r);
+      } catch (e) {
+        console.error("[NEWS] Error:", e.message);
+      }
+    },
+    { timezone: CRON_TZ }
+  );
+
+  cron.schedule(
+    TA_CRON,
+    async () => {
+      try {
+        const r = await trackJob("ta", () => runTaJob());
+        console.log("[TA]", r);
+      } catch (e) {
+        console.error("[TA] Error:", e.message);
+      }
+    },
+    { timezone: CRON_TZ }
+  );
+
+  cron.schedule(
+    ONCHAIN_CRON,
+    async () => {
+      try {
+        const r = await trackJob("intermarket", () => runIntermarketH4());
+        console.log("[INTERMARKET][H4]", r);
+      } catch (e) {
+        console.error("[INTERMARKET][H4] Error:", e.message);
+      }
+    },
+    { timezone: CRON_TZ }
+  );
+
+  for (const [period, expr] of [["daily", RECAP_DAILY_CRON], ["weekly", RECAP_WEEKLY_CRON]]) {
+    cron.schedule(
+      expr,
+      async () => {
+        try {
+          const r = await trackJob("recap", () => runRecapJob(period));
+          console.log(`[RECAP][${period}]`, r);
+        } catch (e) {
+          console.error(`[RECAP][${period}] Error:`, e.message);
+        }
+      },
+      { timezone: CRON_TZ }
+    );
+  }
+
+  // Alert chạy dày → chỉ log khi có alert bắn hoặc lỗi
+  let alertsRunning = false;
+  cron.schedule(
+    ALERT_CRON,
+    async () => {
+      if (alertsRunning) return;
+      alertsRunning = true;
+      try {
+        const r = await trackJob("alerts", () => runAlertsJob());
+        if (r.fired || r.failed) console.log("[ALERT]", r);
+      } catch (e) {
+        console.error("[ALERT] Error:", e.message);
+      } finally {
+        alertsRunning = false;
+      }
+    },
+    { timezone: CRON_TZ }
+  );
+
+  console.log("[NEWS] Scheduled.");
+  console.log(`[TA] Scheduled. Watchlist: ${TA_SYMBOLS.join(", ")}`);
+  console.log("[INTERMARKET] Scheduled.");
+  console.log(`[RECAP] Scheduled. Daily: ${RECAP_DAILY_CRON} | Weekly: ${RECAP_WEEKLY_CRON}`);
+
+  // Sender loop của outbox (cũng gửi nốt các tin còn tồn từ lần chạy trước); dry-run không đụng tới outbox
+  if (!DRY_RUN) {
+    setInterval(flushOutbox, 1000);
+    setInterval(() => stmtOutboxPrune.run(), 60 * 60 * 1000);
+    console.log("[OUTBOX] Sender started.", outboxCounts());
+  }
+
+  // OPTIONAL: chạy thử tin News khi start (giữ nguyên hành vi cũ, tránh spam intermarket)
+  (async () => {
+    try {
+      const r1 = await trackJob("news", () => runNewsJob());
+      console.log("[NEWS] First run:", r1);
+    } catch (e) {
+      console.error("[NEWS] First run error:", e.message);
+    }
+  })();
+
+  if (ADMIN_PORT) startAdminServer();
+
+  if (BOT_COMMANDS && !DRY_RUN) {
+    pollUpdates();
+    console.log("[BOT] Polling commands.");
   }
-})();
+}
+
+if (IS_MAIN && CLI.command === "run") {
+  process.exitCode = await runJobOnce(CLI);
+  db.close();
+} else if (IS_MAIN) {
+  startWorker();
+}
+
+// Import từ script/test offline: các job và hàm dựng bài (worker không tự khởi động)
+export {
+  runNewsJob, runTaJob, runIntermarketH4, runRecapJob,
+  buildNewsPost, buildBreakingPost, buildDailyTA, buildIntermarketPost, buildRecapPost,
+  assertTelegramHtml
+};
@@ -0,0 +1,341 @@
+// locales/en.js — English post templates & conclusion phrases (cùng cấu trúc locales/vi.js).
+
+const DISCLAIMER = "🔹 Note: For reference only, not investment advice.";
+
+export default {
+  name: "English",
+  translateTo: "en",
+  format: {
+    numbers: "en-US",
+    dates: "en-GB",
+    timeZone: "UTC",
+    date: {},
+    dateTime: { hour12: false, timeZoneName: "short" }
+  },
+
+  common: {
+    part: (i, n) => `Part ${i}/${n}`
+  },
+
+  news: {
+    digestHeader: (date) => `❇️ CRYPTO NEWS DIGEST | ${date}`,
+    breakingHeader: (ts) => `🚨 <b>BREAKING</b> | ${ts}`,
+    untranslated: "(not translated)",
+    source: "Source",
+    summary: "Summary",
+    topics: "Topics",
+    link: "Link",
+    sentiment: { label: "Sentiment", bullish: "🟢 Bullish", bearish: "🔴 Bearish", neutral: "⚪ Neutral" },
+    disclaimer: "🔹 Note: News is for reference only, not investment advice."
+  },
+
+  ta: {
+    states: {
+      BREAKOUT: { label: "BREAKOUT", note: "Close at/above the 20-bar high with a solid body" },
+      BREAKDOWN: { label: "BREAKDOWN", note: "Close at/below the 20-bar low with a solid body" },
+      "TÍCH LŨY": { label: "ACCUMULATION", note: "Tight range, flat EMA/low volatility → wait for a breakout" },
+      "PHÂN PHỐI": { label: "DISTRIBUTION", note: "Fading momentum, rising volatility → expect two-way chop" },
+      "TRUNG TÍNH": { label: "NEUTRAL", note: "No clear pattern yet, trade the reaction at key zones" }
+    },
+    trend: { Uptrend: "Uptrend", Downtrend: "Downtrend", Sideway: "Sideways" },
+    momentum: { up: "Bullish momentum", down: "Bearish momentum", neutral: "Neutral" },
+    h4: { up: "aligned up", down: "aligned down", side: "sideways" },
+
+    zone: (range, strength, touches, tfs, inside) =>
+      `${range} | strength ${strength}/10 | ${touches} touches (${tfs})${inside ? " | price inside zone" : ""}`,
+
+    post: (v, f) => `❇️ ${v.symbol} – TECHNICAL ANALYSIS 1D &amp; H4 | ${f.date()}
+
+❇️ Market structure
+🔹 Trend (1D)
+👉 ${v.trend} | Price: ${f.num(v.dClose)} | EMA20: ${f.num(v.ema20D)} | EMA50: ${f.num(v.ema50D)}
+
+🔹 Confirmation (H4)
+👉 H4 ${v.h4} | H4 Close: ${f.num(v.h4Close)} | EMA50(H4): ${f.num(v.ema50H4)}
+
+🔹 Momentum
+👉 RSI(14) ~ ${Math.round(v.rsiD)} → ${v.momentum}
+
+🔹 Price Action score
+👉 ${f.fixed(v.paScore, 1)}/10
+
+🔹 Market state
+👉 ${v.state} – ${v.note}
+
+${v.indicators}
+
+❇️ Key zones (1D + H4 pivots)
+🔹 Resistance
+${v.resist.length ? v.resist.map(z => `👉 ${z}`).join("\n") : "👉 No pivot zone above (price at the top of the data)"}
+
+🔹 Support
+${v.support.length ? v.support.map(z => `👉 ${z}`).join("\n") : "👉 No pivot zone below (price at the bottom of the data)"}
+
+❇️ Expected volatility
+🔹 ATR(14)
+👉 ~ ${f.num(v.atrD)} points/day (estimate)
+${v.source ? `
+🔹 Data source
+👉 ${v.source}
+` : ""}
+📊 REFERENCE SCENARIOS
+🔵 LONG – From demand
+🔹 Condition
+👉 ${v.s1 ? `Support zone ${v.s1.range} (strength ${v.s1.strength}/10) holds with a confirmation candle` : "No clear demand zone – wait for a new pivot low"}${v.r1 ? `
+🔹 Target
+👉 Resistance zone ${v.r1.range}` : ""}
+
+🔴 SHORT – On a support break
+🔹 Condition
+👉 ${v.s1 ? `Close below ${f.price(v.s1.low)} (lower edge of support) and a failed retest` : "No support zone to confirm a breakdown"}${v.s2 ? `
+🔹 Target
+👉 Next support zone ${v.s2.range}` : ""}
+
+${DISCLAIMER}`,
+
+    indicators: (ind, close, f) => {
+      const ago = (n) => (n ? `${n} bar${n > 1 ? "s" : ""} ago` : "this bar");
+      const crossText =
+        ind.macdCross === "up" ? `crossed above signal ${ago(ind.macdCrossAgo)}` :
+        ind.macdCross === "down" ? `crossed below signal ${ago(ind.macdCrossAgo)}` :
+        ind.macdHist > 0 ? "above signal" : "below signal";
+
+      const pctile = ind.bbPctile != null ? Math.round(ind.bbPctile) : "-";
+      const bbText = ind.squeeze
+        ? `Squeeze – volatility compressed (${pctile}th percentile of 120 bars) → expect expansion`
+        : `Width at the ${pctile}th percentile of 120 bars`;
+
+      const side = (v) => (v == null ? "" : close >= v ? " (price above)" : " (price below)");
+      const vwapText = ind.vwapW == null && ind.vwapM == null
+        ? "No volume data"
+        : `Week: ${f.price(ind.vwapW)}${side(ind.vwapW)} | Month: ${f.price(ind.vwapM)}${side(ind.vwapM)}`;
+
+      const obvText = ind.obvTrend === "up" ? "OBV above EMA20 → inflows"
+        : ind.obvTrend === "down" ? "OBV below EMA20 → outflows"
+        : "OBV flat";
+      const volText = ind.volRatio != null ? ` | Vol 5 bars/20 bars: ${f.fixed(ind.volRatio, 2)}x` : "";
+
+      const div = ind.divergence;
+      const divText = !div ? "None detected"
+        : div.type === "bullish"
+          ? `Bullish divergence: low ${f.price(div.b.price)} below ${f.price(div.a.price)} but RSI ${Math.round(div.rsiB)} > ${Math.round(div.rsiA)}`
+          : `Bearish divergence: high ${f.price(div.b.price)} above ${f.price(div.a.price)} but RSI ${Math.round(div.rsiB)} &lt; ${Math.round(div.rsiA)}`;
+
+      return `❇️ Additional indicators
+🔹 MACD (12,26,9)
+👉 MACD: ${f.price(ind.macd)} | Signal: ${f.price(ind.macdSignal)} | Hist: ${f.price(ind.macdHist)} → ${crossText}
+
+🔹 Bollinger (20,2)
+👉 Width: ${ind.bbWidth != null ? f.fixed(ind.bbWidth, 2) : "-"}% | ${bbText}
+
+🔹 Anchored VWAP
+👉 ${vwapText}
+
+🔹 OBV / Volume
+👉 ${obvText}${volText}
+
+🔹 RSI divergence
+👉 ${divText}`;
+    },
+
+    watchlist: {
+      columns: { symbol: "Symbol", state: "State" },
+      error: "data error",
+      post: (table, f) => `📊 <b>WATCHLIST – 1D &amp; H4 OVERVIEW</b> | ${f.date()}
+
+<pre>${table}</pre>
+🔹 PA: Price Action score (0–10) | H4: confirmation vs EMA50(H4)
+
+${DISCLAIMER}`
+    }
+  },
+
+  intermarket: {
+    sources: { price: "price", flow: "flow", gold: "gold", oi: "OI", funding: "funding", ls: "L/S" },
+    rangeStates: { narrow: "NARROW", normal: "NORMAL", wide: "WIDE" },
+    fundingTrend: { rising: "rising", falling: "falling", flat: "flat" },
+
+    conclusions: {
+      flow: {
+        noData: "Not enough data to read the flow.",
+        histHigh: (pr) => `Buy% above ${pr}% of recent sessions → aggressive buyers in control, better short-term push.`,
+        histLow: (pr) => `Buy% below ${pr}% of recent sessions → aggressive sellers in control, watch for selling pressure.`,
+        histMedian: "Buy% near its historical median → no side in control.",
+        histMild: "Flow slightly skewed vs history → needs confirmation from price & volume.",
+        buyDominant: "Aggressive buyers in control → better short-term push.",
+        sellDominant: "Aggressive sellers in control → watch for short-term selling pressure.",
+        balanced: "Buy/Sell balanced → no side in control.",
+        mild: "Flow slightly skewed → needs confirmation from price & volume."
+      },
+      range: {
+        narrow: "1D range contracting → volatility compressed, wait for a breakout confirmed by volume.",
+        wide: "1D range expanding → high volatility, higher sweep risk; keep stop-loss discipline.",
+        normal: "1D range normal → watch the reaction at key price zones."
+      },
+      fee: {
+        noData: "No fee data to draw a conclusion.",
+        levels: [
+          "Low network fees → quiet network, no urgent on-chain flow; consistent with a sideways market.",
+          "Moderate network fees → no urgent (panic/FOMO) transactions; market in wait-and-see mode.",
+          "Elevated network fees → rising on-chain demand; watch price & volume reaction closely.",
+          "Very high network fees → congested network, usually with strong panic/FOMO; high volatility risk."
+        ]
+      },
+      shift: {
+        both: "BTC flat while gold rallies → short-term liquidity tends to rotate into precious metals.",
+        gold: "Gold running strong → flows tend to favour the market with better range.",
+        none: "No clear sign of liquidity rotating into gold."
+      },
+      sentiment: {
+        bullish: "News leans positive → supports buyers if flows confirm.",
+        bearish: "News leans negative → can amplify selling when flows are weak.",
+        neutral: "News is neutral → price is driven mainly by flows.",
+        absorbing: "Negative news yet aggressive buyers still dominate → the market is absorbing bad news.",
+        sellTheNews: "Positive news yet aggressive sellers dominate → beware a “sell the news” move."
+      },
+      derivatives: {
+        noData: "Not enough OI/price data to read derivatives positioning.",
+        longBuildup: "Price up with rising OI → new longs opening; the uptrend is backed by leveraged flows.",
+        longCrowded: "OI rising while funding/long ratio is already high → crowded longs, long-squeeze risk if price turns.",
+        shortSqueeze: "Price up while OI falls → shorts being forced out (short squeeze); the move may fade once it ends.",
+        shortBuildup: "Price down with rising OI → new shorts opening; selling pressure is backed by leverage.",
+        shortCrowded: "OI rising while funding is negative/short ratio high → crowded shorts, prone to a short squeeze.",
+        deleveraging: "Price down with falling OI → longs liquidated / deleveraging; selling eases once OI is flushed.",
+        oiBuilding: "Price flat while OI rises → positions are building up; expect a sharp move on the breakout.",
+        neutral: "OI little changed → leverage is not driving price."
+      }
+    },
+
+    change: {
+      header: (ts) => `❇️ <b>Vs. previous report</b> <i>(${ts})</i>`,
+      price: "BTC price",
+      points: "pts"
+    },
+
+    post: (v, f) => `📊 <b>INTERMARKET FLOWS | BTC – GOLD</b>
+<i>${f.dateTime()} | Timeframe: H4 (flow) · 1D (range)</i>${v.sources ? `\n<i>Data sources: ${v.sources}</i>` : ""}
+
+❇️ <b>BTC – Key stats</b>
+🔹 Price: <b>${f.num(v.btc.closeNow)}</b>
+🔹 H4 change: <b>${f.pct(v.btc.pctH4)}</b>
+🔹 H4 volume (USDT): <b>${f.money(v.btc.quoteVolH4)}</b>
+
+🔹 <b>H4 flow (taker – USDT)</b>
+🔹 Buy: <b>${f.money(v.flow.buyQuote)}</b> | Sell: <b>${f.money(v.flow.sellQuote)}</b>
+🔹 Delta: <b>${f.money(v.flow.delta)}</b> | Buy%: <b>${Number.isFinite(v.flow.buyPct) ? f.fixed(v.flow.buyPct, 1) + "%" : "n/a"}</b>
+👉 Read: ${v.flowText}${v.newsSentiment ? `
+📰 News sentiment ${v.newsSentiment.hours}h: <b>${v.newsSentiment.idx > 0 ? "+" : ""}${v.newsSentiment.idx}</b> (${v.newsSentiment.n} stories) → ${v.newsSentiment.text}` : ""}${v.deriv ? `
+
+❇️ <b>${v.deriv.base} derivatives (perp)</b>
+🔹 OI: <b>${f.money(v.deriv.oiNotional)}</b> (${f.num(v.deriv.oiCoin)} ${v.deriv.base}) | 4h: <b>${f.pct(v.deriv.oiChange4h)}</b> | 24h: <b>${f.pct(v.deriv.oiChange24h)}</b>
+🔹 Last funding: <b>${f.pct(v.deriv.funding?.last, 4)}</b> | Predicted: <b>${f.pct(v.deriv.predictedFunding, 4)}</b>
+${v.deriv.funding ? `🔹 Funding avg ${v.deriv.funding.n} periods: <b>${f.pct(v.deriv.funding.avg, 4)}</b> (${v.deriv.trend}, ${v.deriv.funding.positive}/${v.deriv.funding.n} positive)\n` : ""}${v.deriv.ls ? `🔹 Top-trader L/S: <b>${f.fixed(v.deriv.ls.ratio, 2)}</b> (${f.fixed(v.deriv.ls.longPct, 0)}% long)${Number.isFinite(v.deriv.ls.change24h) ? ` | 24h: ${v.deriv.ls.change24h >= 0 ? "+" : ""}${f.fixed(v.deriv.ls.change24h, 2)}` : ""}\n` : ""}👉 Read: ${v.deriv.text}` : ""}
+
+❇️ <b>Gold (Proxy: ${v.goldSymbol})</b>
+🔹 H4 change: <b>${f.pct(v.gold.pctH4)}</b>
+🔹 H4 volume (USDT): <b>${f.money(v.gold.quoteVolH4)}</b>
+${v.silver ? `🔹 Silver (Proxy) H4: <b>${f.pct(v.silver.pctH4)}</b>\n` : ""}👉 Read: ${v.shift.text}
+
+🟡 <b>Big-money view</b>
+🔹 When BTC is flat while gold runs, large players often favour the narrative with better range → BTC may be “ignored” for a while.
+
+❇️ <b>BTC range (1D)</b>
+🔹 High/Low: <b>${f.num(v.range1d.high)}</b> / <b>${f.num(v.range1d.low)}</b>
+🔹 1D range: <b>${Number.isFinite(v.range1d.rangePct) ? f.fixed(v.range1d.rangePct, 2) + "%" : "n/a"}</b> | State: <b>${v.rangeState}</b>
+👉 Read: ${v.rangeText}
+
+❇️ <b>Network Fee (mempool)</b>
+🔹 Fastest: <b>${v.fees.fastest ?? "n/a"}</b> sat/vB
+🔹 ~30m: <b>${v.fees.halfHour ?? "n/a"}</b> sat/vB
+🔹 ~60m: <b>${v.fees.hour ?? "n/a"}</b> sat/vB
+👉 Conclusion: ${v.feeText}
+
+${v.changeBlock}❇️ <b>Summary</b>
+🔹 BTC: ${v.shift.btcFlat ? "Sideways – waiting for liquidity; observe first." : "Moving on H4; wait for confirmation."}
+🔹 Gold: ${v.shift.shift ? "Drawing short-term attention → small size, manage risk." : "Not drawing clear liquidity → wait."}
+
+⚠️ <i>For reference only, not investment advice.</i>`,
+
+    feesPost: (v, f) => `⛽ <b>BTC NETWORK FEE (mempool)</b>
+<i>${f.dateTime()}</i>
+
+🔹 Fastest: <b>${v.fees.fastest ?? "n/a"}</b> sat/vB
+🔹 ~30m: <b>${v.fees.halfHour ?? "n/a"}</b> sat/vB
+🔹 ~60m: <b>${v.fees.hour ?? "n/a"}</b> sat/vB
+👉 Conclusion: ${v.feeText}`
+  },
+
+  recap: {
+    header: {
+      daily: (date) => `🗞 <b>DAILY RECAP</b> | ${date}`,
+      weekly: (from, to) => `🗞 <b>WEEKLY RECAP</b> | ${from} – ${to}`
+    },
+    stories: (n, sources) => `❇️ <b>Stories posted</b>\n🔹 Total: <b>${n}</b> stories from <b>${sources}</b> sources`,
+    noStories: "🔹 No stories were posted in this period.",
+    topics: "❇️ <b>Top topics</b>",
+    headlines: "❇️ <b>Top headlines</b>",
+    score: "score",
+    market: "❇️ <b>Market</b>",
+    btc: "BTC",
+    gold: (symbol) => `Gold (${symbol})`,
+    perf: (name, pct, high, low) => `🔹 ${name}: <b>${pct}</b> | High/Low: ${high} / ${low}`,
+    pa: "❇️ <b>Price Action (scheduled TA)</b>",
+    paRange: (symbol, max, maxAt, min, minAt) =>
+      `🔹 ${symbol}: highest PA <b>${max}</b> (${maxAt}) | lowest <b>${min}</b> (${minAt})`,
+    stateChange: (from, to, at) => `👉 ${from} → <b>${to}</b> (${at})`,
+    stateKept: (state) => `👉 Stayed <b>${state}</b> all period`,
+    noTa: "🔹 No TA data for this period.",
+    disclaimer: DISCLAIMER
+  },
+
+  alert: {
+    header: (symbol, ts) => `🔔 <b>ALERT ${symbol}</b> | ${ts}`,
+    body: (cond, value, id) => `🔹 Condition: ${cond}\n🔹 Current: <b>${value}</b>\n🔹 Alert #${id} re-arms once the condition clears.`,
+    describe: {
+      above: (p) => `price ≥ ${p}`,
+      below: (p) => `price ≤ ${p}`,
+      move: (pct, w) => `move ≥ ${pct}% within ${w}`,
+      rsi_below: (n, tf) => `RSI(14) ${tf} ≤ ${n}`,
+      rsi_above: (n, tf) => `RSI(14) ${tf} ≥ ${n}`
+    },
+    usage: `🔹 Usage:
+/alert BTCUSDT above 100000
+/alert BTCUSDT below 90000
+/alert PAXGUSDT move 2% 4h
+/alert BTCUSDT rsi&lt;30 1d
+/alert del &lt;id&gt; | /alerts – list`,
+    listEmpty: "🔹 This chat has no alerts yet. Create one: /alert BTCUSDT above 100000",
+    listHeader: (n) => `🔔 <b>ALERTS</b> (${n})`,
+    listLast: (v) => ` | last: ${v}`,
+    listFooter: "🔹 Delete: /alert del &lt;id&gt;",
+    created: (id, symbol, cond, value) => `✅ Created alert #${id}: <b>${symbol}</b> – ${cond}\n🔹 Current: ${value}`,
+    deleted: (id) => `✅ Deleted alert #${id}.`,
+    notFound: "🔹 No such alert in this chat.",
+    notOwner: "🔹 Only the alert's creator or an admin can delete it.",
+    maxPerChat: (n) => `🔹 Each chat can have at most ${n} alerts.`,
+    noData: (symbol) => `🔹 Could not fetch data for <b>${symbol}</b>.`
+  },
+
+  bot: {
+    help: `🤖 <b>COMMANDS</b>
+
+🔹 /news – Latest crypto news digest
+🔹 /ta &lt;SYMBOL&gt; – 1D &amp; H4 technical analysis (e.g. /ta ETHUSDT)
+🔹 /intermarket – BTC – Gold intermarket flow
+🔹 /fees – BTC network fees (mempool)
+🔹 /recap [week] – Daily (or weekly) recap: posted news, topics, BTC/gold, PA score
+🔹 /status – Last run result of each job
+🔹 /subscribe news|ta|intermarket – Subscribe to scheduled posts (admin)
+🔹 /unsubscribe [topic] – Unsubscribe (empty = all topics, admin)
+🔹 /lang vi|en – Post language for this chat (admin)
+🔹 /sources list|add|remove|pause|resume|keywords – Manage RSS sources (admin chat)
+🔹 /alert &lt;SYMBOL&gt; above|below|move|rsi... – Create a price alert (e.g. /alert BTCUSDT above 100000)
+🔹 /alerts – This chat's alerts
+🔹 /help – Command list`,
+    sourcesUsage: `🔹 Usage:
+/sources list
+/sources add &lt;name&gt; &lt;url&gt;
+/sources remove|pause|resume &lt;name&gt;
+/sources keywords &lt;name&gt; kw1,kw2 (a match qualifies the item; "-" to clear)`
+  }
+};
@@ -0,0 +1,343 @@
+// locales/vi.js — mẫu bài đăng & câu kết luận tiếng Việt.
+// Template nhận giá trị thô + bộ định dạng `f` (num/price/pct/money/fixed/date/dateTime theo `format`);
+// chuỗi động (symbol, nguồn, kết luận...) đã được escape HTML trước khi truyền vào.
+
+const DISCLAIMER = "🔹 Lưu ý: Nội dung chỉ mang tính tham khảo, không phải lời khuyên đầu tư.";
+
+export default {
+  name: "Tiếng Việt",
+  translateTo: "vi", // ngôn ngữ đích khi dịch tin (RSS gốc tiếng Anh)
+  format: {
+    numbers: "en-US", // giữ kiểu 61,093.5 quen thuộc của kênh
+    dates: "vi-VN",
+    timeZone: "Asia/Ho_Chi_Minh",
+    date: {},
+    dateTime: { hour12: false }
+  },
+
+  common: {
+    part: (i, n) => `Phần ${i}/${n}`
+  },
+
+  news: {
+    digestHeader: (date) => `❇️ TỔNG HỢP TIN CRYPTO | ${date}`,
+    breakingHeader: (ts) => `🚨 <b>TIN NÓNG</b> | ${ts}`,
+    untranslated: "(chưa dịch)",
+    source: "Nguồn",
+    summary: "Tóm tắt",
+    topics: "Chủ đề",
+    link: "Link",
+    sentiment: { label: "Tâm lý", bullish: "🟢 Tích cực", bearish: "🔴 Tiêu cực", neutral: "⚪ Trung tính" },
+    disclaimer: "🔹 Lưu ý: Tin tức chỉ mang tính tham khảo, không phải lời khuyên đầu tư."
+  },
+
+  ta: {
+    states: {
+      BREAKOUT: { label: "BREAKOUT", note: "Giá đóng cửa tiệm cận/vượt đỉnh 20 phiên, thân nến rõ" },
+      BREAKDOWN: { label: "BREAKDOWN", note: "Giá đóng cửa tiệm cận/thủng đáy 20 phiên, thân nến rõ" },
+      "TÍCH LŨY": { label: "TÍCH LŨY", note: "Biên độ hẹp, EMA phẳng/biến động thấp → ưu tiên chờ phá vỡ" },
+      "PHÂN PHỐI": { label: "PHÂN PHỐI", note: "Động lượng yếu dần, biến động tăng → dễ nhiễu/giật 2 chiều" },
+      "TRUNG TÍNH": { label: "TRUNG TÍNH", note: "Chưa có mẫu hình rõ ràng, ưu tiên phản ứng tại vùng" }
+    },
+    trend: { Uptrend: "Uptrend", Downtrend: "Downtrend", Sideway: "Sideway" },
+    momentum: { up: "Động lượng tăng", down: "Động lượng giảm", neutral: "Trung tính" },
+    h4: { up: "đồng pha tăng", down: "đồng pha giảm", side: "đi ngang" },
+
+    zone: (range, strength, touches, tfs, inside) =>
+      `${range} | mạnh ${strength}/10 | ${touches} lần chạm (${tfs})${inside ? " | giá đang trong vùng" : ""}`,
+
+    post: (v, f) => `❇️ ${v.symbol} – PHÂN TÍCH KỸ THUẬT 1D &amp; H4 | ${f.date()}
+
+❇️ Cấu trúc thị trường
+🔹 Xu hướng (1D)
+👉 ${v.trend} | Giá: ${f.num(v.dClose)} | EMA20: ${f.num(v.ema20D)} | EMA50: ${f.num(v.ema50D)}
+
+🔹 Xác nhận (H4)
+👉 H4 ${v.h4} | H4 Close: ${f.num(v.h4Close)} | EMA50(H4): ${f.num(v.ema50H4)}
+
+🔹 Động lượng
+👉 RSI(14) ~ ${Math.round(v.rsiD)} → ${v.momentum}
+
+🔹 Chấm điểm Price Action
+👉 ${f.fixed(v.paScore, 1)}/10
+
+🔹 Trạng thái thị trường
+👉 ${v.state} – ${v.note}
+
+${v.indicators}
+
+❇️ Vùng giá quan trọng (pivot 1D + H4)
+🔹 Kháng cự
+${v.resist.length ? v.resist.map(z => `👉 ${z}`).join("\n") : "👉 Không có vùng pivot phía trên (giá ở đỉnh dữ liệu)"}
+
+🔹 Hỗ trợ
+${v.support.length ? v.support.map(z => `👉 ${z}`).join("\n") : "👉 Không có vùng pivot phía dưới (giá ở đáy dữ liệu)"}
+
+❇️ Biến động dự kiến
+🔹 ATR(14)
+👉 ~ ${f.num(v.atrD)} điểm/ngày (ước lượng)
+${v.source ? `
+🔹 Nguồn dữ liệu
+👉 ${v.source}
+` : ""}
+📊 KỊCH BẢN THAM KHẢO
+🔵 LONG – Theo vùng cầu
+🔹 Điều kiện
+👉 ${v.s1 ? `Giữ vững vùng hỗ trợ ${v.s1.range} (mạnh ${v.s1.strength}/10) và có nến xác nhận` : "Chưa có vùng cầu rõ – chờ hình thành đáy pivot mới"}${v.r1 ? `
+🔹 Mục tiêu
+👉 Vùng kháng cự ${v.r1.range}` : ""}
+
+🔴 SHORT – Khi phá vỡ hỗ trợ
+🔹 Điều kiện
+👉 ${v.s1 ? `Đóng cửa dưới ${f.price(v.s1.low)} (mép dưới vùng hỗ trợ) và retest thất bại` : "Chưa có vùng hỗ trợ để xác nhận phá vỡ"}${v.s2 ? `
+🔹 Mục tiêu
+👉 Vùng hỗ trợ kế tiếp ${v.s2.range}` : ""}
+
+${DISCLAIMER}`,
+
+    indicators: (ind, close, f) => {
+      const ago = (n) => (n ? `${n} phiên trước` : "phiên này");
+      const crossText =
+        ind.macdCross === "up" ? `cắt lên signal ${ago(ind.macdCrossAgo)}` :
+        ind.macdCross === "down" ? `cắt xuống signal ${ago(ind.macdCrossAgo)}` :
+        ind.macdHist > 0 ? "nằm trên signal" : "nằm dưới signal";
+
+      const pctile = ind.bbPctile != null ? Math.round(ind.bbPctile) : "-";
+      const bbText = ind.squeeze
+        ? `Squeeze – nén biến động (phân vị ${pctile}% của 120 phiên) → chờ bung mạnh`
+        : `Độ rộng ở phân vị ${pctile}% của 120 phiên`;
+
+      const side = (v) => (v == null ? "" : close >= v ? " (giá trên)" : " (giá dưới)");
+      const vwapText = ind.vwapW == null && ind.vwapM == null
+        ? "Không có dữ liệu volume"
+        : `Tuần: ${f.price(ind.vwapW)}${side(ind.vwapW)} | Tháng: ${f.price(ind.vwapM)}${side(ind.vwapM)}`;
+
+      const obvText = ind.obvTrend === "up" ? "OBV trên EMA20 → dòng tiền vào"
+        : ind.obvTrend === "down" ? "OBV dưới EMA20 → dòng tiền ra"
+        : "OBV đi ngang";
+      const volText = ind.volRatio != null ? ` | Vol 5 phiên/20 phiên: ${f.fixed(ind.volRatio, 2)}x` : "";
+
+      const div = ind.divergence;
+      const divText = !div ? "Không phát hiện"
+        : div.type === "bullish"
+          ? `Phân kỳ tăng: đáy ${f.price(div.b.price)} thấp hơn ${f.price(div.a.price)} nhưng RSI ${Math.round(div.rsiB)} > ${Math.round(div.rsiA)}`
+          : `Phân kỳ giảm: đỉnh ${f.price(div.b.price)} cao hơn ${f.price(div.a.price)} nhưng RSI ${Math.round(div.rsiB)} &lt; ${Math.round(div.rsiA)}`;
+
+      return `❇️ Chỉ báo bổ sung
+🔹 MACD (12,26,9)
+👉 MACD: ${f.price(ind.macd)} | Signal: ${f.price(ind.macdSignal)} | Hist: ${f.price(ind.macdHist)} → ${crossText}
+
+🔹 Bollinger (20,2)
+👉 Độ rộng: ${ind.bbWidth != null ? f.fixed(ind.bbWidth, 2) : "-"}% | ${bbText}
+
+🔹 VWAP neo
+👉 ${vwapText}
+
+🔹 OBV / Volume
+👉 ${obvText}${volText}
+
+🔹 Phân kỳ RSI
+👉 ${divText}`;
+    },
+
+    watchlist: {
+      columns: { symbol: "Mã", state: "Trạng thái" },
+      error: "lỗi dữ liệu",
+      post: (table, f) => `📊 <b>WATCHLIST – TỔNG QUAN 1D &amp; H4</b> | ${f.date()}
+
+<pre>${table}</pre>
+🔹 PA: điểm Price Action (0–10) | H4: xác nhận theo EMA50(H4)
+
+${DISCLAIMER}`
+    }
+  },
+
+  intermarket: {
+    sources: { price: "giá", flow: "flow", gold: "vàng", oi: "OI", funding: "funding", ls: "L/S" },
+    rangeStates: { narrow: "HẸP", normal: "TRUNG BÌNH", wide: "RỘNG" },
+    fundingTrend: { rising: "đang tăng", falling: "đang giảm", flat: "đi ngang" },
+
+    conclusions: {
+      flow: {
+        noData: "Chưa đủ dữ liệu để kết luận dòng tiền.",
+        histHigh: (pr) => `Buy% cao hơn ${pr}% các phiên gần đây → mua chủ động áp đảo, lực đẩy ngắn hạn tốt hơn.`,
+        histLow: (pr) => `Buy% thấp hơn ${pr}% các phiên gần đây → bán chủ động áp đảo, cẩn trọng áp lực xả.`,
+        histMedian: "Buy% quanh mức trung vị lịch sử → chưa có phe áp đảo.",
+        histMild: "Dòng tiền lệch nhẹ so với lịch sử → cần thêm xác nhận từ giá & volume.",
+        buyDominant: "Mua chủ động áp đảo → lực đẩy ngắn hạn tốt hơn.",
+        sellDominant: "Bán chủ động áp đảo → cẩn trọng áp lực xả ngắn hạn.",
+        balanced: "Buy/Sell cân bằng → chưa có phe áp đảo.",
+        mild: "Dòng tiền lệch nhẹ → cần thêm xác nhận từ giá & volume."
+      },
+      range: {
+        narrow: "Biên độ 1D co hẹp → nén biến động, ưu tiên chờ breakout có volume xác nhận.",
+        wide: "Biên độ 1D nở rộng → biến động mạnh, rủi ro quét tăng; ưu tiên kỷ luật SL.",
+        normal: "Biên độ 1D trung bình → quan sát phản ứng tại vùng giá quan trọng."
+      },
+      fee: {
+        noData: "Chưa có dữ liệu fee để kết luận.",
+        levels: [
+          "Phí mạng thấp → mạng lưới rảnh, chưa có dòng tiền on-chain gấp; phù hợp trạng thái sideway.",
+          "Phí mạng mức trung bình → chưa có áp lực giao dịch gấp (panic/fomo); thị trường thiên về quan sát.",
+          "Phí mạng tăng cao → nhu cầu giao dịch on-chain gia tăng; cần theo dõi sát phản ứng giá & volume.",
+          "Phí mạng rất cao → mạng lưới quá tải, thường đi kèm panic/fomo mạnh; rủi ro biến động lớn."
+        ]
+      },
+      shift: {
+        both: "BTC đi ngang trong khi vàng tăng mạnh → thanh khoản ngắn hạn có xu hướng dịch chuyển sang kim loại quý.",
+        gold: "Vàng đang chạy mạnh → dòng tiền có xu hướng ưu tiên nơi có biên độ tốt hơn.",
+        none: "Chưa thấy dấu hiệu rõ ràng về dịch chuyển thanh khoản sang vàng."
+      },
+      sentiment: {
+        bullish: "Tin tức nghiêng tích cực → hỗ trợ tâm lý mua nếu dòng tiền xác nhận.",
+        bearish: "Tin tức nghiêng tiêu cực → dễ khuếch đại áp lực bán khi dòng tiền yếu.",
+        neutral: "Tin tức trung tính → giá chủ yếu do dòng tiền dẫn dắt.",
+        absorbing: "Tin tiêu cực nhưng mua chủ động vẫn áp đảo → thị trường đang hấp thụ tin xấu.",
+        sellTheNews: "Tin tích cực nhưng bán chủ động áp đảo → cẩn trọng kịch bản “sell the news”."
+      },
+      derivatives: {
+        noData: "Chưa đủ dữ liệu OI/giá để kết luận vị thế phái sinh.",
+        longBuildup: "Giá tăng cùng OI tăng → long mới mở thêm, xu hướng tăng có dòng tiền đòn bẩy ủng hộ.",
+        longCrowded: "OI tăng trong khi funding/tỉ lệ long đã cao → long quá đông, rủi ro long squeeze nếu giá quay đầu.",
+        shortSqueeze: "Giá tăng nhưng OI giảm → short bị ép đóng (short squeeze), lực tăng có thể hụt khi squeeze kết thúc.",
+        shortBuildup: "Giá giảm cùng OI tăng → short mới mở thêm, áp lực bán có đòn bẩy ủng hộ.",
+        shortCrowded: "OI tăng trong khi funding âm/tỉ lệ short cao → short quá đông, dễ bị short squeeze.",
+        deleveraging: "Giá giảm cùng OI giảm → long bị thanh lý / xả đòn bẩy; áp lực bán giảm dần khi OI đã sạch.",
+        oiBuilding: "Giá đi ngang nhưng OI tăng → vị thế đang dồn lại, chờ biến động mạnh theo hướng phá vỡ.",
+        neutral: "OI ít thay đổi → đòn bẩy chưa dẫn dắt giá."
+      }
+    },
+
+    change: {
+      header: (ts) => `❇️ <b>So với báo cáo trước</b> <i>(${ts})</i>`,
+      price: "Giá BTC",
+      points: "điểm"
+    },
+
+    post: (v, f) => `📊 <b>DÒNG TIỀN LIÊN THỊ TRƯỜNG | BTC – VÀNG</b>
+<i>${f.dateTime()} | Khung: H4 (flow) · 1D (biên độ)</i>${v.sources ? `\n<i>Nguồn dữ liệu: ${v.sources}</i>` : ""}
+
+❇️ <b>BTC – Thông số kỹ thuật</b>
+🔹 Giá hiện tại: <b>${f.num(v.btc.closeNow)}</b>
+🔹 Biến động H4: <b>${f.pct(v.btc.pctH4)}</b>
+🔹 Volume H4 (USDT): <b>${f.money(v.btc.quoteVolH4)}</b>
+
+🔹 <b>Dòng tiền H4 (taker – USDT)</b>
+🔹 Buy: <b>${f.money(v.flow.buyQuote)}</b> | Sell: <b>${f.money(v.flow.sellQuote)}</b>
+🔹 Delta: <b>${f.money(v.flow.delta)}</b> | Buy%: <b>${Number.isFinite(v.flow.buyPct) ? f.fixed(v.flow.buyPct, 1) + "%" : "n/a"}</b>
+👉 Nhận định: ${v.flowText}${v.newsSentiment ? `
+📰 Tâm lý tin tức ${v.newsSentiment.hours}h: <b>${v.newsSentiment.idx > 0 ? "+" : ""}${v.newsSentiment.idx}</b> (${v.newsSentiment.n} tin) → ${v.newsSentiment.text}` : ""}${v.deriv ? `
+
+❇️ <b>Phái sinh ${v.deriv.base} (perp)</b>
+🔹 OI: <b>${f.money(v.deriv.oiNotional)}</b> (${f.num(v.deriv.oiCoin)} ${v.deriv.base}) | 4h: <b>${f.pct(v.deriv.oiChange4h)}</b> | 24h: <b>${f.pct(v.deriv.oiChange24h)}</b>
+🔹 Funding kỳ trước: <b>${f.pct(v.deriv.funding?.last, 4)}</b> | Dự kiến: <b>${f.pct(v.deriv.predictedFunding, 4)}</b>
+${v.deriv.funding ? `🔹 Funding TB ${v.deriv.funding.n} kỳ: <b>${f.pct(v.deriv.funding.avg, 4)}</b> (${v.deriv.trend}, ${v.deriv.funding.positive}/${v.deriv.funding.n} kỳ dương)\n` : ""}${v.deriv.ls ? `🔹 L/S top trader: <b>${f.fixed(v.deriv.ls.ratio, 2)}</b> (${f.fixed(v.deriv.ls.longPct, 0)}% long)${Number.isFinite(v.deriv.ls.change24h) ? ` | 24h: ${v.deriv.ls.change24h >= 0 ? "+" : ""}${f.fixed(v.deriv.ls.change24h, 2)}` : ""}\n` : ""}👉 Nhận định: ${v.deriv.text}` : ""}
+
+❇️ <b>Vàng (Proxy: ${v.goldSymbol})</b>
+🔹 Biến động H4: <b>${f.pct(v.gold.pctH4)}</b>
+🔹 Volume H4 (USDT): <b>${f.money(v.gold.quoteVolH4)}</b>
+${v.silver ? `🔹 Bạc (Proxy) H4: <b>${f.pct(v.silver.pctH4)}</b>\n` : ""}👉 Nhận định: ${v.shift.text}
+
+🟡 <b>Góc nhìn dòng tiền lớn</b>
+🔹 Khi BTC đi ngang nhưng vàng chạy mạnh, thường phản ánh vị thế lớn ưu tiên narrative có biên độ tốt hơn → BTC có thể bị “bỏ qua” tạm thời.
+
+❇️ <b>Biên độ BTC (1D)</b>
+🔹 High/Low: <b>${f.num(v.range1d.high)}</b> / <b>${f.num(v.range1d.low)}</b>
+🔹 Range 1D: <b>${Number.isFinite(v.range1d.rangePct) ? f.fixed(v.range1d.rangePct, 2) + "%" : "n/a"}</b> | Trạng thái: <b>${v.rangeState}</b>
+👉 Nhận định: ${v.rangeText}
+
+❇️ <b>Network Fee (mempool)</b>
+🔹 Fastest: <b>${v.fees.fastest ?? "n/a"}</b> sat/vB
+🔹 ~30m: <b>${v.fees.halfHour ?? "n/a"}</b> sat/vB
+🔹 ~60m: <b>${v.fees.hour ?? "n/a"}</b> sat/vB
+👉 Kết luận: ${v.feeText}
+
+${v.changeBlock}❇️ <b>Tổng kết</b>
+🔹 BTC: ${v.shift.btcFlat ? "Sideway – chờ thanh khoản; ưu tiên quan sát." : "Có dao động H4; theo dõi xác nhận."}
+🔹 Vàng: ${v.shift.shift ? "Đang hút chú ý ngắn hạn → ưu tiên x nhỏ, quản trị rủi ro." : "Chưa hút thanh khoản rõ → ưu tiên chờ."}
+
+⚠️ <i>Nhận định mang tính tham khảo, không phải lời khuyên đầu tư.</i>`,
+
+    feesPost: (v, f) => `⛽ <b>BTC NETWORK FEE (mempool)</b>
+<i>${f.dateTime()}</i>
+
+🔹 Fastest: <b>${v.fees.fastest ?? "n/a"}</b> sat/vB
+🔹 ~30m: <b>${v.fees.halfHour ?? "n/a"}</b> sat/vB
+🔹 ~60m: <b>${v.fees.hour ?? "n/a"}</b> sat/vB
+👉 Kết luận: ${v.feeText}`
+  },
+
+  recap: {
+    header: {
+      daily: (date) => `🗞 <b>TỔNG KẾT NGÀY</b> | ${date}`,
+      weekly: (from, to) => `🗞 <b>TỔNG KẾT TUẦN</b> | ${from} – ${to}`
+    },
+    stories: (n, sources) => `❇️ <b>Tin đã đăng</b>\n🔹 Tổng: <b>${n}</b> tin từ <b>${sources}</b> nguồn`,
+    noStories: "🔹 Không có tin nào được đăng trong kỳ.",
+    topics: "❇️ <b>Chủ đề nổi bật</b>",
+    headlines: "❇️ <b>Tin quan trọng nhất</b>",
+    score: "điểm",
+    market: "❇️ <b>Thị trường</b>",
+    btc: "BTC",
+    gold: (symbol) => `Vàng (${symbol})`,
+    perf: (name, pct, high, low) => `🔹 ${name}: <b>${pct}</b> | Cao/Thấp: ${high} / ${low}`,
+    pa: "❇️ <b>Price Action (TA định kỳ)</b>",
+    paRange: (symbol, max, maxAt, min, minAt) =>
+      `🔹 ${symbol}: PA cao nhất <b>${max}</b> (${maxAt}) | thấp nhất <b>${min}</b> (${minAt})`,
+    stateChange: (from, to, at) => `👉 ${from} → <b>${to}</b> (${at})`,
+    stateKept: (state) => `👉 Giữ trạng thái <b>${state}</b> cả kỳ`,
+    noTa: "🔹 Chưa có dữ liệu TA trong kỳ.",
+    disclaimer: DISCLAIMER
+  },
+
+  alert: {
+    header: (symbol, ts) => `🔔 <b>CẢNH BÁO ${symbol}</b> | ${ts}`,
+    body: (cond, value, id) => `🔹 Điều kiện: ${cond}\n🔹 Hiện tại: <b>${value}</b>\n🔹 Alert #${id} sẽ bật lại khi điều kiện hết hiệu lực.`,
+    describe: {
+      above: (p) => `giá ≥ ${p}`,
+      below: (p) => `giá ≤ ${p}`,
+      move: (pct, w) => `biến động ≥ ${pct}% trong ${w}`,
+      rsi_below: (n, tf) => `RSI(14) ${tf} ≤ ${n}`,
+      rsi_above: (n, tf) => `RSI(14) ${tf} ≥ ${n}`
+    },
+    usage: `🔹 Cú pháp:
+/alert BTCUSDT above 100000
+/alert BTCUSDT below 90000
+/alert PAXGUSDT move 2% 4h
+/alert BTCUSDT rsi&lt;30 1d
+/alert del &lt;id&gt; | /alerts – danh sách`,
+    listEmpty: "🔹 Chat này chưa có alert nào. Tạo: /alert BTCUSDT above 100000",
+    listHeader: (n) => `🔔 <b>ALERT</b> (${n})`,
+    listLast: (v) => ` | gần nhất: ${v}`,
+    listFooter: "🔹 Xoá: /alert del &lt;id&gt;",
+    created: (id, symbol, cond, value) => `✅ Đã tạo alert #${id}: <b>${symbol}</b> – ${cond}\n🔹 Hiện tại: ${value}`,
+    deleted: (id) => `✅ Đã xoá alert #${id}.`,
+    notFound: "🔹 Không tìm thấy alert này trong chat.",
+    notOwner: "🔹 Chỉ người tạo alert hoặc admin mới xoá được.",
+    maxPerChat: (n) => `🔹 Mỗi chat tối đa ${n} alert.`,
+    noData: (symbol) => `🔹 Không lấy được dữ liệu cho <b>${symbol}</b>.`
+  },
+
+  bot: {
+    help: `🤖 <b>LỆNH HỖ TRỢ</b>
+
+🔹 /news – Tổng hợp tin crypto mới
+🔹 /ta &lt;SYMBOL&gt; – Phân tích kỹ thuật 1D &amp; H4 (vd: /ta ETHUSDT)
+🔹 /intermarket – Dòng tiền liên thị trường BTC – Vàng
+🔹 /fees – Phí mạng BTC (mempool)
+🔹 /recap [week] – Tổng kết ngày (hoặc tuần): tin đã đăng, chủ đề, BTC/vàng, điểm PA
+🔹 /status – Kết quả lần chạy gần nhất của từng job
+🔹 /subscribe news|ta|intermarket – Đăng ký nhận bản tin định kỳ (admin)
+🔹 /unsubscribe [topic] – Huỷ đăng ký (bỏ trống = huỷ tất cả, admin)
+🔹 /lang vi|en – Ngôn ngữ bài đăng của chat (admin)
+🔹 /sources list|add|remove|pause|resume|keywords – Quản lý nguồn RSS (admin chat)
+🔹 /alert &lt;SYMBOL&gt; above|below|move|rsi... – Tạo cảnh báo giá (vd: /alert BTCUSDT above 100000)
+🔹 /alerts – Danh sách cảnh báo của chat
+🔹 /help – Danh sách lệnh`,
+    sourcesUsage: `🔹 Cú pháp:
+/sources list
+/sources add &lt;tên&gt; &lt;url&gt;
+/sources remove|pause|resume &lt;tên&gt;
+/sources keywords &lt;tên&gt; kw1,kw2 (tin khớp là đủ điều kiện; "-" để bỏ)`
+  }
+};
@@ -0,0 +1,105 @@
+// sentiment.js — chấm sắc thái tin thuần (không I/O, không gọi AI): từ điển thuật ngữ crypto có trọng số,
+// khớp cụm từ + biến thể đuôi từ, đảo dấu khi có phủ định. Dùng cho bài tin & chỉ số tâm lý tin (index.js).
+
+// ================= THAM SỐ =================
+export const DEFAULT_SENTIMENT_PARAMS = {
+  titleWeight: 2,      // tiêu đề quan trọng hơn tóm tắt
+  negationWindow: 3,   // phủ định trong N từ phía trước → đảo dấu
+  negationFactor: -0.5, // "not approved" yếu hơn "rejected"
+  saturation: 3,       // score = sum / (|sum| + saturation) → -1..1
+  threshold: 0.2       // |score| >= ngưỡng → bullish / bearish, còn lại neutral
+};
+
+// Trọng số -3..+3; key là từ/cụm từ gốc (chữ thường), biến thể -s/-ed/-ing... tự khớp
+export const SENTIMENT_LEXICON = {
+  // ===== Tích cực =====
+  "all-time high": 3, "record high": 2, "ath": 2, "approval": 2, "approve": 2, "green light": 2,
+  "inflow": 2, "surge": 2, "soar": 2, "rally": 2, "breakout": 2, "bullish": 2, "adoption": 2, "rate cut": 2,
+  "jump": 1, "gain": 1, "rise": 1, "rose": 1, "climb": 1, "rebound": 1, "recover": 1, "recovery": 1,
+  "adopt": 1, "partnership": 1, "upgrade": 1, "accumulate": 1, "accumulation": 1, "buy": 1, "boost": 1,
+  "short squeeze": 1, "institutional": 1, "milestone": 1, "outperform": 1, "buyback": 1, "win": 1, "legalize": 2,
+  // ===== Tiêu cực =====
+  "hack": -3, "exploit": -3, "stolen": -3, "theft": -3, "fraud": -3, "rug pull": -3, "insolvency": -3,
+  "insolvent": -3, "bankrupt": -3, "bankruptcy": -3, "depeg": -3, "de-peg": -3, "crash": -3,
+  "breach": -2, "scam": -2, "liquidation": -2, "liquidate": -2, "outflow": -2, "plunge": -2, "tumble": -2,
+  "slump": -2, "sell-off": -2, "selloff": -2, "dump": -2, "bearish": -2, "ban": -2, "crackdown": -2,
+  "lawsuit": -2, "sue": -2, "reject": -2, "rejection": -2, "halt": -2, "suspend": -2, "default": -2,
+  "delist": -2, "outage": -2, "vulnerability": -2, "arrest": -2, "sanction": -2, "rate hike": -2, "capitulation": -2,
+  "drop": -1, "fall": -1, "fell": -1, "decline": -1, "dip": -1, "probe": -1, "investigation": -1, "charge": -1,
+  "penalty": -1, "delay": -1, "warning": -1, "warn": -1, "fear": -1, "loss": -1, "layoff": -1, "selling pressure": -1
+};
+
+const NEGATORS = new Set((
+  "not no never without fail fails failed deny denies denied unlikely cannot " +
+  "isnt arent wasnt werent dont doesnt didnt wont cant couldnt hasnt havent"
+).split(" "));
+const SUFFIXES = new Set(["s", "es", "ed", "ing", "er", "ers", "al", "ment", "ments"]);
+
+function words(text) {
+  return String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9-]+/g, " ")
+    .split(" ")
+    .map(w => w.replace(/^-+|-+$/g, ""))
+    .filter(Boolean);
+}
+
+// "approve" khớp approves/approved/approving; "drop" khớp dropped/dropping (gấp đôi phụ âm)
+function wordMatches(tok, w) {
+  if (tok === w) return true;
+  if (tok.startsWith(w) && SUFFIXES.has(tok.slice(w.length))) return true;
+  if (w.endsWith("e") && (tok === `${w}d` || tok === `${w.slice(0, -1)}ing`)) return true;
+  return tok.startsWith(w + w.at(-1)) && ["ed", "ing", "er"].includes(tok.slice(w.length + 1));
+}
+
+// Cụm dài khớp trước (tránh "short squeeze" bị tính thêm lần nữa), mỗi từ chỉ thuộc 1 cụm
+const ENTRIES = Object.entries(SENTIMENT_LEXICON)
+  .map(([term, weight]) => ({ term, weight, parts: term.split(" ") }))
+  .sort((a, b) => b.parts.length - a.parts.length);
+
+function lexiconSum(text, p) {
+  const toks = words(text);
+  const used = new Array(toks.length).fill(false);
+  const hits = [];
+  let sum = 0;
+  for (const e of ENTRIES) {
+    for (let i = 0; i + e.parts.length <= toks.length; i++) {
+      if (used[i] || !e.parts.every((w, k) => !used[i + k] && wordMatches(toks[i + k], w))) continue;
+      for (let k = 0; k < e.parts.length; k++) used[i + k] = true;
+      const negated = toks.slice(Math.max(0, i - p.negationWindow), i).some(t => NEGATORS.has(t));
+      const w = negated ? e.weight * p.negationFactor : e.weight;
+      sum += w;
+      hits.push(negated ? `!${e.term}` : e.term);
+    }
+  }
+  return { sum, hits };
+}
+
+// Chấm 1 tin: tiêu đề × titleWeight + tóm tắt → { score -1..1, label bullish|bearish|neutral, hits }
+export function scoreSentiment(title, body = "", opts = {}) {
+  const p = { ...DEFAULT_SENTIMENT_PARAMS, ...opts };
+  const t = lexiconSum(title, p);
+  const b = lexiconSum(body, p);
+  const sum = t.sum * p.titleWeight + b.sum;
+  const score = sum / (Math.abs(sum) + p.saturation);
+  const label = score >= p.threshold ? "bullish" : score <= -p.threshold ? "bearish" : "neutral";
+  return { score, label, hits: [...new Set([...t.hits, ...b.hits])] };
+}
+
+// Chỉ số tâm lý tin -100..+100: trung bình score có trọng số suy giảm theo tuổi tin (nửa đời halfLifeHours)
+// rows: [{ score, ts }] (ts ms). Ít hơn minItems tin → null.
+export function sentimentIndex(rows, { now = Date.now(), halfLifeHours = 12, minItems = 3 } = {}) {
+  const valid = rows.filter(r => Number.isFinite(r.score) && Number.isFinite(r.ts));
+  if (valid.length < minItems) return null;
+  let num = 0;
+  let den = 0;
+  for (const r of valid) {
+    const w = 0.5 ** (Math.max(0, now - r.ts) / 3600000 / halfLifeHours);
+    num += w * r.score;
+    den += w;
+  }
+  return den > 0 ? Math.round((num / den) * 100) : null;
+}
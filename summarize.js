@@ -0,0 +1,198 @@
+// summarize.js — tóm tắt trích xuất thuần (không I/O, không gọi AI): làm sạch HTML của tin RSS, tách câu,
+// xếp hạng câu bằng TextRank trên độ tương đồng TF-IDF rồi chọn 1–3 câu chính. Dùng cho bài tin (index.js).
+
+// ================= THAM SỐ =================
+export const DEFAULT_SUMMARY_PARAMS = {
+  maxSentences: 2,    // số câu tối đa trong tóm tắt
+  maxChars: 300,      // độ dài tối đa (ký tự) cả đoạn tóm tắt
+  minSentenceChars: 30,
+  maxSentenceChars: 400,
+  minSentenceWords: 5,
+  damping: 0.85,      // TextRank (như PageRank)
+  iterations: 30,
+  titleWeight: 0.3,   // câu trùng từ khóa với tiêu đề → cộng điểm
+  leadBonus: 0.15,    // câu đầu bài (lede) thường tóm ý tốt nhất
+  redundancy: 0.6     // cosine ≥ ngưỡng với câu đã chọn → bỏ (tránh 2 câu nói cùng ý)
+};
+
+const STOPWORDS = new Set((
+  "a an the and or but of to in on for with at by from as is are was were be been being has have had do does did " +
+  "it its this that these those there their they them he she his her we our you your i me my not no so if then " +
+  "than too very can will would could should may might must also just only into over after before about amid " +
+  "says said new more most such which who whom what when where why how all any each other some up down out"
+).split(" "));
+
+// Viết tắt hay gặp trong tin tài chính: dấu chấm sau chúng không phải hết câu
+const ABBREVIATIONS = new Set([
+  "mr", "mrs", "ms", "dr", "st", "jr", "sr", "inc", "corp", "ltd", "co", "vs", "etc", "no", "est",
+  "u.s", "u.k", "e.g", "i.e", "a.m", "p.m", "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec"
+]);
+
+// Câu rác hay gặp cuối feed WordPress / Medium / báo crypto
+const BOILERPLATE_RE = /appeared first on|read more|continue reading|click here|subscribe|newsletter|sign up|follow us|all rights reserved|cookie|sponsored|disclaimer|not (?:financial|investment) advice|this article (?:was|is) (?:originally|first)/i;
+
+// ================= LÀM SẠCH HTML =================
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", hellip: "…", mdash: "—", ndash: "–", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : " ";
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// HTML → text thuần; ranh giới khối (p, li, h*, br) giữ thành xuống dòng để tách câu không dính đoạn
+export function htmlToText(html) {
+  return decodeEntities(String(html || "")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|figure|figcaption|iframe|noscript|svg|table)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<(br|hr)\b[^>]*>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6]|blockquote|section|article|ul|ol)>/gi, "\n")
+    .replace(/<[^>]*>/g, " "))
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+// ================= TÁCH CÂU =================
+export function splitSentences(text) {
+  const out = [];
+  for (const para of String(text || "").split(/\n+/)) {
+    let start = 0;
+    const re = /[.!?…]+["”’)\]]*\s+(?=["“‘(\[]?[A-Z0-9$])/g;
+    let m;
+    while ((m = re.exec(para))) {
+      const before = para.slice(start, m.index);
+      const lastWord = (before.match(/(\S+)$/)?.[1] || "").toLowerCase().replace(/^[("“‘[]+/, "");
+      if (m[0][0] === "." && (ABBREVIATIONS.has(lastWord) || /^[a-z]$/.test(lastWord))) continue;
+      out.push(para.slice(start, m.index + m[0].trimEnd().length).trim());
+      start = m.index + m[0].length;
+    }
+    const rest = para.slice(start).trim();
+    if (rest) out.push(rest);
+  }
+  return out.filter(Boolean);
+}
+
+function tokens(s) {
+  return s
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9$%]+/g, " ")
+    .split(" ")
+    .map(t => t.replace(/(?<=[a-z]{3})s$/, ""))
+    .filter(t => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+// ================= TF-IDF + TEXTRANK =================
+// Mỗi câu là 1 "văn bản": vector TF-IDF chuẩn hóa L2 → cosine = tích vô hướng
+function tfidfVectors(tokenLists) {
+  const df = new Map();
+  for (const toks of tokenLists) for (const t of new Set(toks)) df.set(t, (df.get(t) || 0) + 1);
+  const n = tokenLists.length;
+  return tokenLists.map(toks => {
+    const v = new Map();
+    for (const t of toks) v.set(t, (v.get(t) || 0) + 1);
+    let norm = 0;
+    for (const [t, tf] of v) {
+      const w = tf * (Math.log((n + 1) / (df.get(t) + 1)) + 1);
+      v.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of v) v.set(t, w / norm);
+    return v;
+  });
+}
+
+function cosine(a, b) {
+  const [small, big] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) dot += w * (big.get(t) || 0);
+  return dot;
+}
+
+export function textRank(vectors, { damping = 0.85, iterations = 30 } = {}) {
+  const n = vectors.length;
+  const sim = vectors.map((a, i) => vectors.map((b, j) => (i === j ? 0 : cosine(a, b))));
+  const outSum = sim.map(row => row.reduce((s, x) => s + x, 0));
+  let rank = new Array(n).fill(1 / n);
+  for (let k = 0; k < iterations; k++) {
+    const next = rank.map((_, i) => {
+      let s = 0;
+      for (let j = 0; j < n; j++) if (outSum[j] > 0) s += (sim[j][i] / outSum[j]) * rank[j];
+      return (1 - damping) / n + damping * s;
+    });
+    const delta = next.reduce((d, x, i) => d + Math.abs(x - rank[i]), 0);
+    rank = next;
+    if (delta < 1e-6) break;
+  }
+  return rank;
+}
+
+function clip(s, max) {
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max - 1);
+  const sp = cut.lastIndexOf(" ");
+  return (sp > max * 0.6 ? cut.slice(0, sp) : cut).replace(/[\s,;:–—-]+$/, "") + "…";
+}
+
+// Cosine TF-IDF (tiêu đề + câu làm 2 văn bản) ≥ ngưỡng → câu chỉ nói lại tiêu đề
+function repeatsTitle(sentence, title, threshold) {
+  const a = tokens(sentence);
+  const b = tokens(title);
+  if (!a.length || !b.length) return false;
+  const [va, vb] = tfidfVectors([a, b]);
+  return cosine(va, vb) >= threshold;
+}
+
+// ================= TÓM TẮT =================
+// text: nội dung đã làm sạch (htmlToText); title: tiêu đề tin, dùng làm "truy vấn" ưu tiên câu đúng chủ đề.
+// Trả "" khi không có nội dung hoặc nội dung chỉ nhắc lại tiêu đề; ít câu hợp lệ → trả nguyên văn (cắt theo maxChars).
+export function summarize(text, { title = "", ...opts } = {}) {
+  const p = { ...DEFAULT_SUMMARY_PARAMS, ...opts };
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (!clean) return "";
+
+  const all = splitSentences(text).map(s => s.replace(/\s+/g, " ").trim());
+  // Câu lặp lại tiêu đề (nhiều feed mở đầu mô tả bằng chính tiêu đề) bị bỏ trước khi xếp hạng,
+  // nếu không titleWeight + leadBonus sẽ đẩy đúng câu đó lên đầu, tóm tắt chỉ nhắc lại dòng tiêu đề phía trên
+  const fresh = (s) => !BOILERPLATE_RE.test(s) && !repeatsTitle(s, title, p.redundancy);
+  const sentences = all
+    .map((s, pos) => ({ s, pos, toks: tokens(s) }))
+    .filter(x => x.s.length >= p.minSentenceChars && x.s.length <= p.maxSentenceChars &&
+      x.s.split(" ").length >= p.minSentenceWords && x.toks.length > 0 && fresh(x.s));
+  if (sentences.length === 0) {
+    const rest = all.find(fresh);
+    return rest ? clip(rest, p.maxChars) : repeatsTitle(clean, title, p.redundancy) ? "" : clip(clean, p.maxChars);
+  }
+
+  const vectors = tfidfVectors(sentences.map(x => x.toks));
+  const rank = sentences.length > 2 ? textRank(vectors, p) : sentences.map(() => 1 / sentences.length);
+  const maxRank = Math.max(...rank) || 1;
+  const titleToks = new Set(tokens(title));
+
+  const scored = sentences.map((x, i) => {
+    const titleHits = titleToks.size ? x.toks.filter(t => titleToks.has(t)).length / titleToks.size : 0;
+    const lead = x.pos === 0 ? p.leadBonus : 0;
+    return { ...x, vec: vectors[i], score: rank[i] / maxRank + p.titleWeight * Math.min(1, titleHits) + lead };
+  }).sort((a, b) => b.score - a.score || a.pos - b.pos);
+
+  const picked = [];
+  let len = 0;
+  for (const x of scored) {
+    if (picked.length >= p.maxSentences) break;
+    if (picked.some(y => cosine(x.vec, y.vec) >= p.redundancy)) continue;
+    // Câu không vừa: bỏ qua, trừ khi chưa chọn được câu nào (sẽ cắt bớt)
+    if (picked.length && len + 1 + x.s.length > p.maxChars) continue;
+    picked.push(x);
+    len += (picked.length > 1 ? 1 : 0) + x.s.length;
+  }
+
+  // Giữ thứ tự câu như bài gốc cho dễ đọc
+  return clip(picked.sort((a, b) => a.pos - b.pos).map(x => x.s).join(" "), p.maxChars);
+}
@@ -0,0 +1,433 @@
+// ta.js — chỉ báo & chấm điểm kỹ thuật thuần (không I/O): EMA/RSI/ATR/MACD/Bollinger/VWAP/OBV, hỗ trợ/kháng cự,
+// điểm Price Action và trạng thái thị trường. Dùng chung cho bot (index.js) và backtest (backtest.js).
+
+// ================= THAM SỐ =================
+// Ngưỡng dùng cho scorePriceAction / detectMarketState — backtest có thể ghi đè để quét tham số
+export const DEFAULT_TA_PARAMS = {
+  // scorePriceAction
+  rsiBull: 60,          // RSI >= ngưỡng → +điểm động lượng
+  rsiBear: 40,          // RSI <= ngưỡng → -điểm động lượng
+  volHighPct: 6,        // ATR% >= ngưỡng → biến động cao, trừ điểm
+  volLowPct: 3,         // ATR% <= ngưỡng → biến động thấp, cộng điểm
+  // detectMarketState
+  rangeBars: 20,        // số phiên xét đỉnh/đáy và biên độ
+  breakoutTol: 0.002,   // sai số tiệm cận đỉnh/đáy (0.2%)
+  breakoutBodyPct: 0.6, // thân nến tối thiểu (% giá) để tính phá vỡ
+  flatSlopePct: 0.35,   // |độ dốc EMA20 5 phiên| <= ngưỡng → EMA phẳng
+  tightRangePct: 6,     // biên độ 20 phiên <= ngưỡng → biên hẹp
+  lowVolAtrPct: 3.5,    // ATR% <= ngưỡng → biến động thấp
+  distAtrPct: 4,        // ATR% >= ngưỡng → biến động tăng (phân phối)
+  distSlopePct: 0.1,    // độ dốc EMA20 < ngưỡng → động lượng yếu (phân phối)
+  // indicatorSummary
+  squeezePctile: 20,    // độ rộng Bollinger <= phân vị này (120 phiên) → squeeze
+  pivotBars: 3,         // số nến mỗi bên để xác nhận pivot fractal
+  // srZones
+  zoneTolAtr: 0.5,      // pivot cách nhau ≤ ATR × hệ số → cùng vùng
+  zoneHalfLifeDays: 30  // độ mới của pivot: trọng số giảm một nửa sau N ngày
+};
+
+export const MARKET_STATES = ["BREAKOUT", "BREAKDOWN", "TÍCH LŨY", "PHÂN PHỐI", "TRUNG TÍNH"];
+
+// ================= CHỈ BÁO =================
+export function ema(values, period) {
+  const k = 2 / (period + 1);
+  let prev = values[0];
+  const out = [prev];
+  for (let i = 1; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out.push(prev);
+  }
+  return out;
+}
+
+export function rsi(values, period = 14) {
+  let gains = 0, losses = 0;
+  for (let i = 1; i <= period; i++) {
+    const diff = values[i] - values[i - 1];
+    if (diff >= 0) gains += diff;
+    else losses -= diff;
+  }
+  let avgGain = gains / period;
+  let avgLoss = losses / period;
+
+  const out = new Array(values.length).fill(null);
+  out[period] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+
+  for (let i = period + 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    const gain = diff > 0 ? diff : 0;
+    const loss = diff < 0 ? -diff : 0;
+    avgGain = (avgGain * (period - 1) + gain) / period;
+    avgLoss = (avgLoss * (period - 1) + loss) / period;
+    out[i] = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+  }
+  return out;
+}
+
+export function atr(candles, period = 14) {
+  const tr = [];
+  for (let i = 1; i < candles.length; i++) {
+    const h = candles[i].high;
+    const l = candles[i].low;
+    const pc = candles[i - 1].close;
+    tr.push(Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc)));
+  }
+  let prev = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const out = new Array(candles.length).fill(null);
+  out[period] = prev;
+  for (let i = period + 1; i < candles.length; i++) {
+    const curTR = tr[i - 1];
+    prev = (prev * (period - 1) + curTR) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+export function clamp(x, a, b) {
+  return Math.max(a, Math.min(b, x));
+}
+
+export function macd(values, fast = 12, slow = 26, signal = 9) {
+  const emaFast = ema(values, fast);
+  const emaSlow = ema(values, slow);
+  const line = values.map((_, i) => emaFast[i] - emaSlow[i]);
+  const sig = ema(line, signal);
+  return { macd: line, signal: sig, hist: line.map((v, i) => v - sig[i]) };
+}
+
+export function bollinger(values, period = 20, mult = 2) {
+  const mid = new Array(values.length).fill(null);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  const width = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    const slice = values.slice(i + 1 - period, i + 1);
+    const mean = slice.reduce((a, b) => a + b, 0) / period;
+    const sd = Math.sqrt(slice.reduce((a, b) => a + (b - mean) ** 2, 0) / period);
+    mid[i] = mean;
+    upper[i] = mean + mult * sd;
+    lower[i] = mean - mult * sd;
+    width[i] = mean ? ((upper[i] - lower[i]) / mean) * 100 : null;
+  }
+  return { mid, upper, lower, width };
+}
+
+// Mốc bắt đầu tuần (thứ Hai 00:00 UTC) / tháng (ngày 1 00:00 UTC) chứa thời điểm t
+function anchorStart(t, anchor) {
+  const d = new Date(t);
+  if (anchor === "month") return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  const day = (d.getUTCDay() + 6) % 7; // thứ Hai = 0
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day);
+}
+
+// VWAP neo theo tuần/tháng: cộng dồn giá điển hình × volume, reset ở đầu mỗi kỳ
+export function anchoredVwap(candles, anchor = "week") {
+  const out = new Array(candles.length).fill(null);
+  let start = null, pv = 0, vol = 0;
+  for (let i = 0; i < candles.length; i++) {
+    const c = candles[i];
+    const s = anchorStart(c.time, anchor);
+    if (s !== start) { start = s; pv = 0; vol = 0; }
+    pv += ((c.high + c.low + c.close) / 3) * (c.volume || 0);
+    vol += c.volume || 0;
+    out[i] = vol > 0 ? pv / vol : null;
+  }
+  return out;
+}
+
+export function obv(candles) {
+  const out = [0];
+  for (let i = 1; i < candles.length; i++) {
+    const diff = candles[i].close - candles[i - 1].close;
+    const v = candles[i].volume || 0;
+    out.push(out[i - 1] + (diff > 0 ? v : diff < 0 ? -v : 0));
+  }
+  return out;
+}
+
+// Pivot fractal: đỉnh/đáy cao/thấp hơn `left` nến trước và `right` nến sau.
+// Chỉ trả về pivot đã xác nhận (đủ `right` nến phía sau) → không nhìn trước.
+export function fractalPivots(candles, left = 3, right = left) {
+  const highs = [], lows = [];
+  for (let i = left; i < candles.length - right; i++) {
+    const c = candles[i];
+    let isHigh = true, isLow = true;
+    for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+      if (j === i) continue;
+      const o = candles[j];
+      // Bên trái so sánh chặt, bên phải cho phép bằng → đỉnh/đáy phẳng chỉ tính 1 lần
+      if (j < i ? o.high >= c.high : o.high > c.high) isHigh = false;
+      if (j < i ? o.low <= c.low : o.low < c.low) isLow = false;
+    }
+    if (isHigh) highs.push({ i, price: c.high, time: c.time, volume: c.volume || 0 });
+    if (isLow) lows.push({ i, price: c.low, time: c.time, volume: c.volume || 0 });
+  }
+  return { highs, lows };
+}
+
+// Phân kỳ RSI so với 2 pivot giá gần nhất:
+// - tăng: đáy sau thấp hơn nhưng RSI cao hơn; giảm: đỉnh sau cao hơn nhưng RSI thấp hơn.
+// Pivot sau phải còn "mới" (trong maxAge nến cuối) mới tính.
+export function rsiDivergence(candles, rsiSeries, { lookback = 60, pivotBars = 3, maxAge = 15 } = {}) {
+  const from = Math.max(0, candles.length - lookback);
+  const { highs, lows } = fractalPivots(candles.slice(from), pivotBars);
+  const last = candles.length - 1;
+  const found = [];
+
+  const check = (pivots, type) => {
+    if (pivots.length < 2) return;
+    const [a, b] = pivots.slice(-2).map(x => ({ ...x, i: x.i + from }));
+    const ra = rsiSeries[a.i], rb = rsiSeries[b.i];
+    if (ra == null || rb == null || last - b.i > maxAge) return;
+    if (type === "bullish" && b.price < a.price && rb > ra) found.push({ type, a, b, rsiA: ra, rsiB: rb });
+    if (type === "bearish" && b.price > a.price && rb < ra) found.push({ type, a, b, rsiA: ra, rsiB: rb });
+  };
+  check(lows, "bullish");
+  check(highs, "bearish");
+
+  // Cả 2 cùng xuất hiện → lấy tín hiệu có pivot mới hơn
+  return found.sort((x, y) => y.b.i - x.b.i)[0] || null;
+}
+
+// Vùng hỗ trợ/kháng cự từ pivot fractal nhiều khung:
+// - gom pivot (cả đỉnh lẫn đáy) có giá gần nhau (≤ tol) thành 1 vùng
+// - mỗi lần chạm có trọng số = trọng số khung × độ mới (bán rã theo ngày) × volume tương đối
+// - strength 1–10 so với vùng mạnh nhất; chỉ dùng nến đã đóng nên không nhìn trước
+export function pivotZones(sets, { tol, lastTime, halfLifeDays = 30, pivotBars = 3 }) {
+  const touches = [];
+  for (const { tf, candles, weight = 1 } of sets) {
+    if (!candles?.length) continue;
+    const vols = candles.map(c => c.volume || 0);
+    const avgVol = vols.reduce((a, b) => a + b, 0) / vols.length;
+    const { highs, lows } = fractalPivots(candles, pivotBars);
+    for (const pv of [...highs, ...lows]) {
+      const ageDays = Math.max(0, (lastTime - pv.time) / 864e5);
+      const volFactor = avgVol > 0 ? clamp(pv.volume / avgVol, 0.5, 2) : 1;
+      touches.push({ tf, price: pv.price, w: weight * Math.pow(0.5, ageDays / halfLifeDays) * volFactor });
+    }
+  }
+  touches.sort((a, b) => a.price - b.price);
+
+  const zones = [];
+  for (const t of touches) {
+    const z = zones.at(-1);
+    // So với mép dưới vùng (không phải pivot liền trước) để vùng không "trôi" dài ra
+    if (z && t.price - z.low <= tol) {
+      z.high = t.price;
+      z.touches++;
+      z.weight += t.w;
+      z.pw += t.price * t.w;
+      z.tfs.add(t.tf);
+    } else {
+      zones.push({ low: t.price, high: t.price, touches: 1, weight: t.w, pw: t.price * t.w, tfs: new Set([t.tf]) });
+    }
+  }
+
+  const maxW = Math.max(0, ...zones.map(z => z.weight));
+  return zones.map(z => ({
+    low: z.low,
+    high: z.high,
+    price: z.pw / z.weight,
+    touches: z.touches,
+    strength: maxW ? Math.max(1, Math.round((z.weight / maxW) * 10)) : 0,
+    tfs: sets.map(s => s.tf).filter(tf => z.tfs.has(tf))
+  }));
+}
+
+// Vùng S/R 1D + H4 gần giá nhất: resist tăng dần, support giảm dần (phần tử 0 = gần nhất)
+export function srZones({ d1, h4, atrD }, p = DEFAULT_TA_PARAMS, count = 2) {
+  const close = d1[d1.length - 1].close;
+  const zones = pivotZones(
+    [
+      { tf: "1D", candles: d1.slice(-180), weight: 1 },
+      { tf: "H4", candles: h4 || [], weight: 0.5 }
+    ],
+    {
+      tol: Math.max((atrD || 0) * p.zoneTolAtr, close * 0.003),
+      lastTime: d1[d1.length - 1].time,
+      halfLifeDays: p.zoneHalfLifeDays,
+      pivotBars: p.pivotBars
+    }
+  );
+  return {
+    resist: zones.filter(z => z.price > close).sort((a, b) => a.price - b.price).slice(0, count),
+    support: zones.filter(z => z.price <= close).sort((a, b) => b.price - a.price).slice(0, count)
+  };
+}
+
+// Tóm tắt chỉ báo bổ sung tại nến cuối (MACD, Bollinger, VWAP neo, OBV/volume, phân kỳ RSI)
+export function indicatorSummary(candles, rsiSeries, p = DEFAULT_TA_PARAMS) {
+  const closes = candles.map(x => x.close);
+  const last = candles.length - 1;
+
+  const m = macd(closes);
+  let cross = null, crossAgo = null;
+  for (let k = 0; k < 3 && last - k - 1 >= 0; k++) {
+    const cur = m.hist[last - k], prev = m.hist[last - k - 1];
+    if (prev <= 0 && cur > 0) { cross = "up"; crossAgo = k; break; }
+    if (prev >= 0 && cur < 0) { cross = "down"; crossAgo = k; break; }
+  }
+
+  const bb = bollinger(closes, 20, 2);
+  const widths = bb.width.slice(-120).filter(v => v != null);
+  const bbWidth = bb.width[last];
+  const below = widths.filter(v => v <= bbWidth).length;
+  const bbPctile = widths.length ? (below / widths.length) * 100 : null;
+  const squeeze = bbPctile != null && widths.length >= 40 && bbPctile <= p.squeezePctile;
+  const pctB = bb.upper[last] != null && bb.upper[last] !== bb.lower[last]
+    ? (closes[last] - bb.lower[last]) / (bb.upper[last] - bb.lower[last])
+    : null;
+
+  const obvSeries = obv(candles);
+  const obvEma = ema(obvSeries, 20);
+  const hasVolume = candles.some(c => c.volume > 0);
+  const obvTrend = !hasVolume ? "flat" : obvSeries[last] > obvEma[last] ? "up" : obvSeries[last] < obvEma[last] ? "down" : "flat";
+  const avgVol = (n) => candles.slice(-n).reduce((a, c) => a + (c.volume || 0), 0) / Math.min(n, candles.length);
+  const volRatio = hasVolume && avgVol(20) > 0 ? avgVol(5) / avgVol(20) : null;
+
+  return {
+    macd: m.macd[last], macdSignal: m.signal[last], macdHist: m.hist[last], macdCross: cross, macdCrossAgo: crossAgo,
+    bbWidth, bbPctile, squeeze, pctB,
+    vwapW: anchoredVwap(candles, "week")[last],
+    vwapM: anchoredVwap(candles, "month")[last],
+    obvTrend, volRatio,
+    divergence: rsiDivergence(candles, rsiSeries, { pivotBars: p.pivotBars })
+  };
+}
+
+// ================= CHẤM ĐIỂM / TRẠNG THÁI =================
+// Các trường chỉ báo bổ sung (macdHist, macdCross, vwapW, obvTrend, divergence) là tùy chọn:
+// thiếu thì bỏ qua, điểm giữ nguyên như công thức gốc
+export function scorePriceAction({ close, ema50, rsi14, atr14, h4Trend, macdHist, macdCross, vwapW, obvTrend, divergence }, p = DEFAULT_TA_PARAMS) {
+  let score = 5;
+
+  if (close > ema50) score += 2;
+  else score -= 2;
+
+  if (rsi14 >= p.rsiBull) score += 1.5;
+  else if (rsi14 <= p.rsiBear) score -= 1.5;
+
+  const volPct = atr14 ? (atr14 / close) * 100 : 0;
+  if (volPct >= p.volHighPct) score -= 1;
+  else if (volPct <= p.volLowPct) score += 0.5;
+
+  if (h4Trend === "up") score += 1;
+  if (h4Trend === "down") score -= 1;
+
+  if (macdHist != null) score += macdHist > 0 ? 0.5 : macdHist < 0 ? -0.5 : 0;
+  if (macdCross === "up") score += 0.5;
+  if (macdCross === "down") score -= 0.5;
+
+  if (vwapW != null) score += close > vwapW ? 0.5 : close < vwapW ? -0.5 : 0;
+
+  if (obvTrend === "up") score += 0.5;
+  if (obvTrend === "down") score -= 0.5;
+
+  if (divergence?.type === "bullish") score += 1;
+  if (divergence?.type === "bearish") score -= 1;
+
+  return clamp(score, 0, 10);
+}
+
+// Trạng thái thị trường (mã trong MARKET_STATES); câu diễn giải nằm trong locale (ta.states)
+export function detectMarketState(d1Candles, ema50D, atrD, p = DEFAULT_TA_PARAMS) {
+  const last = d1Candles[d1Candles.length - 1];
+  const slice = d1Candles.slice(-p.rangeBars);
+
+  const highs = slice.map(x => x.high);
+  const lows = slice.map(x => x.low);
+
+  const maxHigh = Math.max(...highs);
+  const minLow = Math.min(...lows);
+
+  const range = maxHigh - minLow;
+  const rangePct = (range / last.close) * 100;
+  const atrPct = atrD ? (atrD / last.close) * 100 : 0;
+
+  const ema20Series = ema(d1Candles.map(x => x.close), 20);
+  const ema20Now = ema20Series.at(-1);
+  const ema20Prev = ema20Series.at(-6);
+  const slopePct = ema20Prev ? ((ema20Now - ema20Prev) / ema20Prev) * 100 : 0;
+
+  const body = Math.abs(last.close - last.open);
+  const bodyPct = (body / last.close) * 100;
+
+  if (last.close >= maxHigh * (1 - p.breakoutTol) && bodyPct >= p.breakoutBodyPct) {
+    return { state: "BREAKOUT" };
+  }
+  if (last.close <= minLow * (1 + p.breakoutTol) && bodyPct >= p.breakoutBodyPct) {
+    return { state: "BREAKDOWN" };
+  }
+
+  const emaFlat = Math.abs(slopePct) <= p.flatSlopePct;
+  const tightRange = rangePct <= p.tightRangePct;
+  const lowVol = atrPct <= p.lowVolAtrPct;
+
+  if ((tightRange && emaFlat) || (tightRange && lowVol)) {
+    return { state: "TÍCH LŨY" };
+  }
+
+  const aboveEma = last.close >= ema50D;
+  const atrRising = atrPct >= p.distAtrPct;
+  const emaWeak = slopePct < p.distSlopePct;
+
+  if (aboveEma && emaWeak && atrRising) {
+    return { state: "PHÂN PHỐI" };
+  }
+
+  return { state: "TRUNG TÍNH" };
+}
+
+// Xu hướng H4 theo EMA50(H4); thiếu dữ liệu H4 → "side"
+export function h4TrendOf(h4) {
+  if (!h4?.length) return { h4Close: null, ema50H4: null, h4Trend: "side" };
+  const ema50H4 = ema(h4.map(x => x.close), 50).at(-1);
+  const h4Close = h4[h4.length - 1].close;
+  const h4Trend = h4Close > ema50H4 ? "up" : h4Close < ema50H4 ? "down" : "side";
+  return { h4Close, ema50H4, h4Trend };
+}
+
+export function analyzeTA({ d1, h4 }, p = DEFAULT_TA_PARAMS) {
+  const dClose = d1[d1.length - 1].close;
+  const dCloses = d1.map(x => x.close);
+
+  const ema20D = ema(dCloses, 20).at(-1);
+  const ema50D = ema(dCloses, 50).at(-1);
+  const rsiSeries = rsi(dCloses, 14);
+  const rsiD = rsiSeries.at(-1);
+  const atrD = atr(d1, 14).at(-1);
+  const ind = indicatorSummary(d1, rsiSeries, p);
+
+  const { h4Close, ema50H4, h4Trend } = h4TrendOf(h4);
+
+  const trendD =
+    dClose > ema50D ? "Uptrend" :
+    dClose < ema50D ? "Downtrend" : "Sideway";
+
+  const momentum =
+    rsiD >= p.rsiBull ? "up" :
+    rsiD <= p.rsiBear ? "down" : "neutral";
+
+  const { resist, support } = srZones({ d1, h4, atrD }, p);
+
+  const paScore = scorePriceAction({
+    close: dClose,
+    ema50: ema50D,
+    rsi14: rsiD,
+    atr14: atrD,
+    h4Trend,
+    macdHist: ind.macdHist,
+    macdCross: ind.macdCross,
+    vwapW: ind.vwapW,
+    obvTrend: ind.obvTrend,
+    divergence: ind.divergence
+  }, p);
+
+  const ms = detectMarketState(d1, ema50D, atrD, p);
+
+  return {
+    dClose, ema20D, ema50D, rsiD, atrD,
+    h4Close, ema50H4, h4Trend,
+    trendD, momentum, resist, support, paScore, ms, ind
+  };
+}